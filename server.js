@@ -5,8 +5,16 @@ const bodyParser = require('body-parser');
 const session = require('express-session');
 const dotenv = require('dotenv');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { once } = require('events');
 const ejs = require('ejs');
 const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
@@ -16,15 +24,64 @@ const UAParser = require('ua-parser-js');
 const requestIp = require('request-ip');
 const geoip = require('geoip-lite');
 const { isbot } = require('isbot');
+const QRCode = require('qrcode');
+
+const {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    UTM_FIELDS,
+    QUERY_PRECEDENCES,
+    PREVIEW_FIELDS,
+    HEALTH_STATES,
+    ROLLUP_GRANULARITIES,
+    API_KEY_SCOPES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_TYPES,
+    USER_ROLES,
+    Visit,
+    WebhookDelivery
+} = require('./storage/models');
+const { STORAGE_BACKENDS, createStorage } = require('./storage');
 
 // Load environment variables
 dotenv.config();
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 const MONGO_URI = process.env.MONGO_URI;
-const API_KEY = process.env.API_KEY || 'your-secret-api-key-here';
-const NTFY_TOPIC = process.env.NTFY_TOPIC || null;
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'mongodb').toLowerCase(); // 'file' needs no database service
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'linkshortner.json'); // ':memory:' keeps nothing on disk
+const LINK_CACHE_TTL_SECONDS = Number(process.env.LINK_CACHE_TTL_SECONDS || 30); // 0 turns the redirect cache off
+const API_KEY = process.env.API_KEY || null; // Optional legacy key with every scope
+const NTFY_TOPIC = process.env.NTFY_TOPIC || null; // Creates a built-in ntfy webhook on first start
 const DOMAIN_URL = process.env.DOMAIN_URL || 'localhost:3000';
 
+// Target URL policy (comma separated lists)
+const TARGET_URL_SCHEMES = parseListSetting(process.env.TARGET_URL_SCHEMES, ['http', 'https']);
+const TARGET_DOMAIN_ALLOWLIST = parseListSetting(process.env.TARGET_DOMAIN_ALLOWLIST, []); // Empty allows every domain
+const TARGET_DOMAIN_DENYLIST = parseListSetting(process.env.TARGET_DOMAIN_DENYLIST, []);
+const HEALTH_CHECK_INTERVAL_MINUTES = Number(process.env.HEALTH_CHECK_INTERVAL_MINUTES || 360); // 0 turns scheduled checks off
+
+// Visitor privacy
+const PRIVACY_MODES = ['full', 'truncate', 'hash'];
+const PRIVACY_MODE = (process.env.PRIVACY_MODE || 'full').toLowerCase(); // How visitor IPs are stored
+const IP_HASH_SALT = process.env.IP_HASH_SALT || null; // Required by PRIVACY_MODE=hash
+const VISIT_RETENTION_DAYS = Number(process.env.VISIT_RETENTION_DAYS || 0); // 0 keeps visits forever
+const HONOR_DO_NOT_TRACK = process.env.HONOR_DO_NOT_TRACK === 'true'; // DNT / Sec-GPC visitors are only counted
+
+if (!PRIVACY_MODES.includes(PRIVACY_MODE) || (PRIVACY_MODE === 'hash' && !IP_HASH_SALT)) {
+    console.error(`PRIVACY_MODE must be one of: ${PRIVACY_MODES.join(', ')} (hash also needs IP_HASH_SALT).`);
+    process.exit(1);
+}
+
+if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    console.error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}.`);
+    process.exit(1);
+}
+
+function parseListSetting(value, fallback) {
+    if (!value) return fallback;
+    return value.split(',').map(item => item.trim().toLowerCase().replace(/:$/, '')).filter(Boolean);
+}
+
 // Configure async logger
 const logger = pino({
     level: process.env.LOG_LEVEL || 'info',
@@ -73,28 +130,28 @@ const globalLimiter = rateLimit({
         message: 'Too many requests from this IP, please try again after 15 minutes.'
     },
     skip: (req) => {
-        // Skip rate limiting for authenticated admin sessions
-        return req.session?.admin === true;
+        // Skip rate limiting for signed-in dashboard users
+        return Boolean(req.session?.user);
     }
 });
 
 // Stricter API rate limiter
+const DEFAULT_API_RATE_LIMIT = 50; // API requests per key (or IP) per 15 minutes
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 50, // Limit each IP to 50 API requests per windowMs
+    max: (req) => req.apiKey?.rateLimit || DEFAULT_API_RATE_LIMIT, // Keys can carry their own quota
     standardHeaders: true,
     legacyHeaders: false,
     message: {
         error: 'Too Many Requests',
         message: 'API rate limit exceeded. Please try again later.'
     },
-    keyGenerator: (req, res) => {
-        // Use API key if present, otherwise use default IP handling
-        if (req.headers.authorization) {
-            return req.headers.authorization;
+    keyGenerator: (req) => {
+        // Count per API key once resolved, otherwise per IP (IPv6 handled by ipKeyGenerator)
+        if (req.apiKey) {
+            return `key:${req.apiKey.id}`;
         }
-        // Let express-rate-limit handle IP addresses (including IPv6) properly
-        return undefined;
+        return ipKeyGenerator(req.ip);
     }
 });
 
@@ -108,10 +165,24 @@ const authLimiter = rateLimit({
     skipSuccessfulRequests: true
 });
 
+// Limiter for unlocking password-protected links - keyed per link and IP
+const unlockLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // Only 5 failed unlock attempts per link per 15 minutes
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many unlock attempts for this link, please try again after 15 minutes.',
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => `${req.hostname}/${req.params.shortened}:${ipKeyGenerator(req.ip)}`
+});
+
 const app = express();
 
 // Middleware setup - ORDER MATTERS FOR SECURITY
 app.use(globalLimiter); // Rate limiting first
+// Bulk link imports need larger bodies - parsed here so the global 10kb parsers skip them
+app.use('/api/links/bulk', express.json({ limit: '1mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }));
+app.use('/admin/links/import', bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 app.use(express.json({ limit: '10kb' })); // Limit JSON payload
 app.use(bodyParser.urlencoded({ extended: true, limit: '10kb' })); // Limit URL-encoded
 app.use(mongoSanitize()); // Sanitize to prevent MongoDB injection
@@ -129,409 +200,4458 @@ app.use(session({
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// --- Mongoose setup ---
-let dbConnected = false;
-async function connectDB() {
-    if (!dbConnected) {
-        try {
-            await mongoose.connect(MONGO_URI);
-            dbConnected = true;
-            console.log('Connected to MongoDB');
-        } catch (error) {
-            console.error('Error connecting to MongoDB:', error);
-            process.exit(1);
-        }
+// --- Storage ---
+// Routes and workers only reach the database through the repositories on `storage` (see storage/index.js)
+const storage = createStorage(STORAGE_BACKEND, { mongoUri: MONGO_URI, file: STORAGE_FILE, logger });
+const dbReady = storage.connect();
+dbReady.catch(error => logger.error({ err: error }, `Opening the ${storage.name} storage failed`));
+
+// --- Link cache & click queue ---
+// Redirects read links and custom domains from memory and queue their writes, which are
+// stored in batches after the response
+const LINK_CACHE_MAX_ENTRIES = 10000;
+const CLICK_FLUSH_INTERVAL_MS = 1000;
+const CLICK_QUEUE_MAX_SIZE = 500; // Queued clicks that trigger a flush before the interval is up
+const CLICK_WRITE_ATTEMPTS = 5; // Flushes in a row that may fail before the clicks they carry are dropped
+
+// Read-through cache in front of a storage repository. A call to one of its write methods from
+// this process drops the entries it touched: `writeMethods` maps each method to a function that
+// returns the cache keys affected by a call (null for "all of them"). Entries also expire after
+// LINK_CACHE_TTL_SECONDS so changes made by other instances show up. Cached values are shared
+// between requests and must not be changed.
+function createReadCache(repository, writeMethods) {
+    const entries = new Map(); // key -> { value: load promise, expiresAt }
+
+    const invalidate = (keys) => {
+        if (keys) keys.forEach(key => entries.delete(key));
+        else entries.clear();
+    };
+
+    for (const [method, affectedKeys] of Object.entries(writeMethods)) {
+        const write = repository[method];
+        repository[method] = async (...args) => {
+            let result;
+            try {
+                result = await write(...args);
+                return result;
+            } finally {
+                invalidate(affectedKeys(args, result));
+            }
+        };
     }
+
+    return {
+        // Concurrent misses share one load. A load that races a write is dropped with the key.
+        get(key, load) {
+            if (LINK_CACHE_TTL_SECONDS <= 0) return load();
+            const cached = entries.get(key);
+            if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+            const value = load();
+            entries.delete(key); // Re-inserted so eviction drops the oldest loads first
+            entries.set(key, { value, expiresAt: Date.now() + LINK_CACHE_TTL_SECONDS * 1000 });
+            if (entries.size > LINK_CACHE_MAX_ENTRIES) entries.delete(entries.keys().next().value);
+            value.catch(() => {
+                if (entries.get(key)?.value === value) entries.delete(key);
+            });
+            return value;
+        },
+
+        invalidate
+    };
 }
-connectDB();
 
-// --- Schema & Model ---
-const linkSchema = new mongoose.Schema({
-    shortened: { type: String, unique: true, required: true },
-    targetUrl: { type: String, required: true },
-    visitCount: { type: Number, default: 0 },
-    createdAt: { type: Date, default: Date.now },
+// Writes by key drop that link; writes by id drop the link they returned (nothing when no link matched)
+const byKeyArgument = ([key]) => [describeLinkKey(key)];
+const byReturnedLink = (args, link) => link ? [describeLinkKey(link)] : [];
+const linkCache = createReadCache(storage.links, {
+    create: byKeyArgument,
+    upsert: byKeyArgument,
+    update: byKeyArgument,
+    remove: byKeyArgument,
+    save: ([link]) => [describeLinkKey(link)],
+    claimExpiryNotice: byReturnedLink,
+    claimHealthCheck: byReturnedLink,
+    setHealth: byReturnedLink,
+    assignOwner: () => null
+});
+const domainCache = createReadCache(storage.domains, {
+    create: ([fields]) => [normalizeDomain(fields.hostname)],
+    update: () => null, // Rare admin changes, possibly of the hostname itself
+    remove: (args, domain) => domain ? [domain.hostname] : null
 });
-const Link = mongoose.model('Link', linkSchema);
 
-// Tracking schema for detailed click analytics - one document per shortened link
-const trackingSchema = new mongoose.Schema({
-    shortened: { type: String, unique: true, required: true },
-    targetUrl: { type: String, required: true },
+// Clicks not stored yet: visit count increments per link, visit documents, the rollup entries
+// of every click (visitors who opted out included) and the link.clicked webhook events
+let clickQueue = { counts: new Map(), visits: [], rollups: [], events: [] };
+const clickBatchesInFlight = new Set();
+let clickFlushTimer = null;
+let clickWrites = Promise.resolve();
+let clickWriteFailures = 0; // Flushes in a row that failed to store part of their batch
+// Visit count writes started and finished - a link read while one runs may or may not include it
+let countWritesStarted = 0;
+let countWritesFinished = 0;
 
-    // Array of visit records
-    visits: [{
-        visitNumber: { type: Number, required: true },
-        timestamp: { type: Date, default: Date.now },
+// The link a short URL points at, from the cache. The document is shared: pass it to
+// withPendingClicks before counting or changing anything.
+function findCachedLink(key) {
+    return linkCache.get(describeLinkKey(key), async () => {
+        for (;;) {
+            const started = countWritesStarted;
+            const idle = countWritesFinished === started;
+            const link = await storage.links.get(key);
+            if (idle && countWritesStarted === started) return link;
+            await clickWrites; // A count write overlapped the read - read again once it is stored
+        }
+    });
+}
 
-        // IP and Geographic data
-        ipAddress: { type: String, required: true },
-        geographic: {
-            country: String,
-            region: String,
-            city: String,
-            timezone: String,
-            coordinates: [Number], // [lat, lng]
-        },
+// A request's own copy of a cached link, with the clicks still queued or being written added to
+// its stored visitCount. Callers check and count a click without an await in between, so
+// concurrent clicks on the same link always see each other.
+function withPendingClicks(link) {
+    if (!link) return link;
+    const copy = link.$clone();
+    copy.visitCount = (link.visitCount || 0) + pendingClicks(link);
+    return copy;
+}
 
-        // User Agent details
-        userAgent: {
-            complete: String,
-            parsedUA: String,
-            browser: {
-                name: String,
-                version: String
-            },
-            os: {
-                name: String,
-                version: String
-            },
-            device: {
-                type: String,
-                model: String
-            },
-            engine: {
-                name: String,
-                version: String
-            },
-            cpu: {
-                architecture: String
-            }
-        },
+// Clicks on a link that are queued or being written but not in its stored visitCount yet
+function pendingClicks(link) {
+    const id = String(link._id);
+    let count = clickQueue.counts.get(id)?.count || 0;
+    for (const batch of clickBatchesInFlight) count += batch.counts.get(id)?.count || 0;
+    return count;
+}
 
-        // Additional tracking info
-        isBot: { type: Boolean, default: false },
-        referrer: { type: String, default: 'Direct' },
+// Queue one click on a link; `visit` is the visit document to store (null when nothing is kept)
+// and `event` the link.clicked webhook event
+function queueClick(link, { visit, timestamp, isBot, event }) {
+    const id = String(link._id);
+    const pending = clickQueue.counts.get(id) || { id: link._id, key: linkKey(link), count: 0 };
+    pending.count += 1;
+    clickQueue.counts.set(id, pending);
+    if (visit) clickQueue.visits.push(visit);
+    clickQueue.rollups.push({ key: linkKey(link), timestamp, isBot });
+    clickQueue.events.push(event);
 
-        // Additional request details
-        acceptLanguage: String,
-        acceptEncoding: String,
-    }]
-});
+    if (clickQueue.rollups.length >= CLICK_QUEUE_MAX_SIZE) flushClicks();
+    else if (!clickFlushTimer) clickFlushTimer = setTimeout(flushClicks, CLICK_FLUSH_INTERVAL_MS);
+}
 
-// Force recreation of model to ensure schema is applied correctly
-delete mongoose.models.Tracking;
-const Tracking = mongoose.model('Tracking', trackingSchema);
+// Store everything queued so far. Batches are written one after another; the returned promise
+// settles once this one is stored.
+function flushClicks() {
+    clearTimeout(clickFlushTimer);
+    clickFlushTimer = null;
+    if (!hasQueuedClicks()) return clickWrites;
 
-// --- Utility ---
-function generateRandomString(length = 7) {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    return Array.from({ length }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+    const batch = clickQueue;
+    clickQueue = { counts: new Map(), visits: [], rollups: [], events: [] };
+    clickBatchesInFlight.add(batch);
+    clickWrites = clickWrites.then(() => writeClicks(batch)).finally(() => clickBatchesInFlight.delete(batch));
+    return clickWrites;
 }
 
-// --- Middleware ---
-function authenticateAdmin(req, res, next) {
-    if (req.session.admin) return next();
-    // Capture the original URL and pass it as redirect parameter
-    const redirectUrl = encodeURIComponent(req.originalUrl);
-    return res.redirect(`/admin/login?redirect=${redirectUrl}`);
+// Whether anything is waiting for the next flush - re-queued parts of a failed batch included
+function hasQueuedClicks() {
+    return clickQueue.counts.size > 0 || clickQueue.visits.length > 0 || clickQueue.rollups.length > 0;
 }
 
-function authenticateAPI(req, res, next) {
-    const authHeader = req.headers.authorization;
+// Counts go in as $inc, so concurrent clicks and instances never overwrite each other. Parts that
+// fail to store go back in the queue (see requeueClicks).
+async function writeClicks(batch) {
+    const counts = [...batch.counts.values()];
+    const failed = { counts: [], visits: [], rollups: [] };
 
-    if (!authHeader) {
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Missing Authorization header'
-        });
+    countWritesStarted += 1;
+    try {
+        await storage.links.addVisits(counts.map(({ id, count }) => ({ id, count })));
+        // Part of the stored counts now: cached copies of these links are reloaded with them
+        batch.counts.clear();
+        linkCache.invalidate(counts.map(({ key }) => describeLinkKey(key)));
+        countWritesFinished += 1;
+    } catch (error) {
+        logger.error({ err: error, links: counts.length }, 'Failed to save visit counts');
+        countWritesStarted -= 1; // Nothing was stored, so links read meanwhile are still current
+        failed.counts = counts;
+    }
+
+    if (batch.visits.length > 0) {
+        try {
+            await storage.visits.add(batch.visits);
+        } catch (error) {
+            logger.warn({ err: error, visits: batch.visits.length }, 'Failed to save visits');
+            failed.visits = batch.visits;
+        }
     }
 
-    // Check if the API key matches
-    if (authHeader === API_KEY) {
-        return next();
+    try {
+        await recordRollups(batch.rollups);
+    } catch (error) {
+        logger.warn({ err: error, clicks: batch.rollups.length }, 'Failed to update visit rollups');
+        failed.rollups = batch.rollups;
     }
 
-    return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid API key'
-    });
+    requeueClicks(batch, failed);
+    await emitClickEvents(batch.events);
 }
 
-// --- Routes ---
-app.get('/admin/login', (req, res) => {
-    if (req.session?.admin) {
-        // If already logged in, redirect to intended page or admin dashboard
-        const redirectTo = req.query.redirect || '/admin';
-        return res.redirect(redirectTo);
+// Put the parts of a batch that failed to store back in the queue for the next flush. Their counts
+// move over in one step, so pendingClicks never sees them twice. After CLICK_WRITE_ATTEMPTS failed
+// flushes in a row the failed parts are dropped instead, so an unreachable store cannot grow the
+// queue (or hold up shutdown) forever.
+function requeueClicks(batch, failed) {
+    if (failed.counts.length === 0 && failed.visits.length === 0 && failed.rollups.length === 0) {
+        clickWriteFailures = 0;
+        return;
     }
-    res.sendFile(path.join(__dirname, 'login.html'));
-});
 
-app.get('/', (req, res) => {
-    res.send(`
-        <!doctype html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>Internal Link Shortener</title>
-            <link rel="icon" type="image/svg+xml" href="/dhivijit.svg">
-            <style>
-                body { font-family: Arial, sans-serif; background:#f7f7f7; color:#222; display:flex; align-items:center; justify-content:center; height:100vh; margin:0 }
-                .card { background:white; padding:24px; border-radius:8px; box-shadow:0 6px 18px rgba(0,0,0,0.08); max-width:520px; text-align:center }
-                a.button { display:inline-block; margin-top:12px; padding:8px 14px; background:#0070f3; color:white; text-decoration:none; border-radius:6px }
-            </style>
-        </head>
-        <body>
-            <div class="card">
-                <h1>Personal Link Shortening Service</h1>
-                <p>This site is my personal link shortening service.</p>
-                <p>Get your own from my <a href="https://github.com/dhivijit/LinkShortner">GitHub repository</a>.</p>
-                <a class="button" href="/admin/login">Admin Login</a>
-            </div>
-        </body>
-        </html>
-    `);
-});
+    batch.counts.clear();
+    clickWriteFailures += 1;
+    if (clickWriteFailures >= CLICK_WRITE_ATTEMPTS) {
+        clickWriteFailures = 0;
+        logger.error({ links: failed.counts.length, visits: failed.visits.length, clicks: failed.rollups.length },
+            'Dropping clicks that failed to store');
+        return;
+    }
 
-app.post('/admin/login', authLimiter, (req, res) => {
-    const { password, redirect } = req.body;
-    if (password === ADMIN_PASSWORD) {
-        req.session.admin = true;
-        // Redirect to the originally requested page or admin dashboard
-        const redirectTo = redirect || '/admin';
-        return res.redirect(redirectTo);
+    for (const { id, key, count } of failed.counts) {
+        const pending = clickQueue.counts.get(String(id)) || { id, key, count: 0 };
+        pending.count += count;
+        clickQueue.counts.set(String(id), pending);
     }
-    res.send('Invalid password.');
-});
+    clickQueue.visits.push(...failed.visits);
+    clickQueue.rollups.push(...failed.rollups);
+    if (!clickFlushTimer) clickFlushTimer = setTimeout(flushClicks, CLICK_FLUSH_INTERVAL_MS);
+}
 
-app.get('/admin', authenticateAdmin, async (req, res) => {
-    const links = await Link.find({});
-    res.render('admin', { links });
-});
+// --- Utility ---
+// Short codes that would clash with the app's own routes. A trailing "+" opens the preview page.
+const RESERVED_SHORT_CODES = ['admin', 'api', 'track'];
 
-app.get('/admin/track/:shortCode', authenticateAdmin, async (req, res) => {
-    try {
-        const shortCode = req.params.shortCode;
+function isReservedShortCode(shortened) {
+    return typeof shortened === 'string' && (RESERVED_SHORT_CODES.includes(shortened.toLowerCase()) || shortened.endsWith('+'));
+}
 
-        // Fetch link details
-        const link = await Link.findOne({ shortened: shortCode });
-        if (!link) {
-            return res.status(404).send('Shortened link not found');
-        }
+// Check a requested short code before a link is created with it (an empty one gets a random code).
+// Returns { error } for reserved paths and for characters that would break the short URL.
+function validateShortCode(shortened) {
+    if (!shortened) return {};
+    if (isReservedShortCode(shortened)) {
+        return { error: `The path "${shortened.toLowerCase()}" is reserved. Choose another shortened key.` };
+    }
+    if (/[\s\/?#]/.test(shortened)) {
+        return { error: 'shortened must not contain spaces, "/", "?" or "#".' };
+    }
+    return {};
+}
 
-        // Fetch tracking data
-        const tracking = await Tracking.findOne({ shortened: shortCode });
+// Target URL validation
+const MAX_TARGET_URL_LENGTH = 2048;
+const MAX_REDIRECT_CHAIN = 3; // Short links a target may pass through before reaching an external URL
+const DOMAIN_HOSTNAME = DOMAIN_URL.replace(/^[a-z]+:\/\//i, '').split(/[/:]/)[0].toLowerCase();
+// "example.com/path" without a scheme is treated as https://example.com/path
+const BARE_HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(:\d+)?([/?#]|$)/i;
 
-        res.render('tracking', {
-            link: link,
-            tracking: tracking,
-            shortCode: shortCode
-        });
-    } catch (error) {
-        console.error('Error fetching tracking data:', error);
-        res.status(500).send('Error loading tracking data');
+// A hostname matches a list entry if it is that domain or one of its subdomains
+function domainMatches(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Check a target URL against the scheme allowlist and domain allow/deny lists and return
+// it in normalised form (lowercase scheme and host, default port removed, "https://" added
+// to bare hostnames). `label` names the field in error messages.
+function normalizeTargetUrl(value, label = 'targetUrl') {
+    if (typeof value !== 'string' || !value.trim()) {
+        return { error: `${label} is required.` };
     }
-});
 
-app.post('/admin/create', authenticateAdmin, async (req, res) => {
-    let { shortened, targetUrl } = req.body;
-    if (shortened?.toLowerCase() === 'admin') {
-        return res.status(400).send('The path "admin" is reserved. Choose another shortened key.');
+    let raw = value.trim();
+    if (/[\s\u0000-\u001f\u007f]/.test(raw)) {
+        return { error: `${label} must not contain spaces or control characters.` };
     }
-    if (shortened?.toLowerCase() === 'track') {
-        return res.status(400).send('The path "track" is reserved. Choose another shortened key.');
+    if (BARE_HOST_PATTERN.test(raw)) {
+        raw = `https://${raw}`;
+    } else if (!/^[a-z][a-z0-9+.-]*:/i.test(raw)) {
+        return { error: `${label} must be an absolute URL such as https://example.com/page.` };
     }
-    if (!shortened) shortened = generateRandomString();
 
+    let url;
     try {
-        await Link.findOneAndUpdate(
-            { shortened },
-            { 
-                $set: { targetUrl },
-                $setOnInsert: { createdAt: new Date(), visitCount: 0 }
-            },
-            { upsert: true, new: true }
-        );
-
-        await Tracking.findOneAndUpdate(
-            { shortened },
-            { 
-                $set: { targetUrl },
-                $setOnInsert: { visits: [] } 
-            },
-            { upsert: true, new: true }
-        );
-        res.redirect('/admin');
+        url = new URL(raw);
     } catch (error) {
-        res.status(500).send('Error creating/updating link.');
+        return { error: `${label} is not a valid URL.` };
     }
-});
 
-app.post('/admin/delete', authenticateAdmin, async (req, res) => {
-    try {
-        await Link.deleteOne({ shortened: req.body.shortened });
-        res.redirect('/admin');
-    } catch (error) {
-        res.status(500).send('Error deleting link.');
+    const scheme = url.protocol.slice(0, -1);
+    if (!TARGET_URL_SCHEMES.includes(scheme)) {
+        return { error: `${label} uses the "${scheme}:" scheme; allowed schemes are ${TARGET_URL_SCHEMES.join(', ')}.` };
+    }
+    if ((scheme === 'http' || scheme === 'https') && !url.hostname) {
+        return { error: `${label} must include a hostname.` };
+    }
+    if (url.username || url.password) {
+        return { error: `${label} must not contain a username or password.` };
     }
-});
 
-app.post('/admin/logout', (req, res) => {
-    req.session.destroy(() => res.redirect('/admin/login'));
-});
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (hostname) {
+        if (domainMatches(hostname, TARGET_DOMAIN_DENYLIST)) {
+            return { error: `${label} points to a blocked domain (${hostname}).` };
+        }
+        if (TARGET_DOMAIN_ALLOWLIST.length > 0 && hostname !== DOMAIN_HOSTNAME &&
+            !domainMatches(hostname, TARGET_DOMAIN_ALLOWLIST)) {
+            return { error: `${label} points to ${hostname}, which is not on the allowed domain list.` };
+        }
+    }
 
-// --- API Routes ---
-// Apply stricter rate limiting to all API routes
-app.use('/api/*', apiLimiter);
+    if (url.href.length > MAX_TARGET_URL_LENGTH) {
+        return { error: `${label} must be at most ${MAX_TARGET_URL_LENGTH} characters.` };
+    }
+    return { url: url.href };
+}
 
-// Create a new shortened link
-app.post('/api/links', authenticateAPI, async (req, res) => {
-    try {
-        let { shortened, targetUrl } = req.body;
+// Custom domains: a link is identified by its short code plus the hostname it is served on.
+// Links on DOMAIN_URL have domain null, so links created before domains existed keep working.
+function normalizeDomain(value) {
+    if (typeof value !== 'string') return null;
+    const hostname = value.trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .split(/[/:?#]/)[0]
+        .replace(/\.$/, '');
+    return hostname && hostname !== DOMAIN_HOSTNAME ? hostname : null;
+}
 
-        if (!targetUrl) {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'targetUrl is required'
-            });
-        }
+function linkKey(link) {
+    return { domain: link.domain || null, shortened: link.shortened };
+}
 
-        if (shortened?.toLowerCase() === 'admin' || shortened?.toLowerCase() === 'api' || shortened?.toLowerCase() === 'track') {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'The paths "admin", "api", and "track" are reserved. Choose another shortened key.'
-            });
-        }
+// The link an admin or API request refers to: the short code from the path and the
+// custom domain from ?domain= (or the form body)
+function requestLinkKey(req) {
+    return linkKey({
+        domain: normalizeDomain(req.query.domain ?? req.body?.domain),
+        shortened: req.params.shortCode ?? req.params.shortened ?? req.body?.shortened
+    });
+}
 
-        if (!shortened) {
-            shortened = generateRandomString();
-        }
+// "code" for links on DOMAIN_URL, "domain/code" for links on a custom domain
+function describeLinkKey(key) {
+    return key.domain ? `${key.domain}/${key.shortened}` : key.shortened;
+}
 
-        const link = await Link.findOneAndUpdate(
-            { shortened },
-            { targetUrl, createdAt: new Date() },
-            { upsert: true, new: true }
-        );
+function shortUrlFor(link) {
+    return `https://${link.domain || DOMAIN_URL}/${link.shortened}`;
+}
 
-        await Tracking.findOneAndUpdate(
-            { shortened },
-            { 
-                $set: { targetUrl },
-                $setOnInsert: { visits: [] } 
-            },
-            { upsert: true, new: true }
-        );
+function trackingPath(link) {
+    return `/admin/track/${encodeURIComponent(link.shortened)}${link.domain ? `?domain=${encodeURIComponent(link.domain)}` : ''}`;
+}
 
-        res.status(201).json({
-            success: true,
-            message: 'Link created/updated successfully',
-            data: {
-                shortened: link.shortened,
-                targetUrl: link.targetUrl,
-                visitCount: link.visitCount,
-                createdAt: link.createdAt,
-                shortUrl: `${req.protocol}://${req.get('host')}/${link.shortened}`
-            }
-        });
-    } catch (error) {
-        console.error('API Create Error:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Error creating/updating link'
-        });
+// Check the domain a link is saved on - DOMAIN_URL (empty) or a configured custom domain
+async function resolveLinkDomain(value) {
+    const domain = normalizeDomain(value);
+    if (domain && !(await storage.domains.findByHostname(domain))) {
+        return { error: `Domain "${domain}" is not configured.` };
     }
-});
+    return { domain };
+}
 
-// Read all links
-app.get('/api/links', authenticateAPI, async (req, res) => {
+// The custom domain a visitor request arrived on. DOMAIN_URL and unknown hosts return null
+// and share the default namespace.
+async function domainForHost(req) {
+    const hostname = normalizeDomain(req.hostname);
+    if (!hostname) return null;
+    return domainCache.get(hostname, () => storage.domains.findByHostname(hostname));
+}
+
+// The link a URL on one of our domains points at (null for other URLs and app routes)
+function ownShortLink(targetUrl, customHostnames) {
+    let url;
     try {
-        const links = await Link.find({}).sort({ visitCount: -1 });
-        res.json({
-            success: true,
-            count: links.length,
-            data: links.map(link => ({
-                shortened: link.shortened,
-                targetUrl: link.targetUrl,
-                visitCount: link.visitCount,
-                createdAt: link.createdAt,
-                shortUrl: `${req.protocol}://${req.get('host')}/${link.shortened}`
-            }))
-        });
+        url = new URL(targetUrl);
     } catch (error) {
-        console.error('API Read Error:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Error fetching links'
-        });
+        return null;
     }
-});
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (hostname !== DOMAIN_HOSTNAME && !customHostnames.includes(hostname)) return null;
 
-// Read a single link
-app.get('/api/links/:shortened', authenticateAPI, async (req, res) => {
+    let code;
     try {
-        const link = await Link.findOne({ shortened: req.params.shortened });
+        code = decodeURIComponent(url.pathname.split('/')[1] || '');
+    } catch (error) {
+        return null;
+    }
+    if (!code || isReservedShortCode(code)) return null;
+    return { domain: normalizeDomain(hostname), shortened: code };
+}
 
-        if (!link) {
-            return res.status(404).json({
-                error: 'Not Found',
-                message: 'Shortened link not found'
-            });
-        }
+// Every URL a link can redirect to: its target, routing rules and A/B variants
+function linkDestinations(link) {
+    return [
+        link.targetUrl,
+        ...(link.rules || []).map(rule => rule.targetUrl),
+        ...(link.variants || []).map(variant => variant.targetUrl),
+        ...(link.schedule || []).map(entry => entry.targetUrl),
+        ...Object.keys(DEEP_LINK_FIELDS).map(field => link.deepLinks?.[field])
+    ].filter(Boolean);
+}
 
-        res.json({
-            success: true,
-            data: {
-                shortened: link.shortened,
-                targetUrl: link.targetUrl,
-                visitCount: link.visitCount,
-                createdAt: link.createdAt,
-                shortUrl: `${req.protocol}://${req.get('host')}/${link.shortened}`
+// Follow targets that point at other short links on our domains. Rejects targets that lead
+// back to the link `key` (a redirect loop) or pass through more than MAX_REDIRECT_CHAIN links.
+async function checkRedirectChain(key, targetUrls, label = 'targetUrl') {
+    const customHostnames = await storage.domains.hostnames();
+    let frontier = targetUrls.map(targetUrl => ({ targetUrl, path: [describeLinkKey(key)] }));
+
+    for (let depth = 0; frontier.length > 0; depth++) {
+        const next = [];
+        for (const { targetUrl, path } of frontier) {
+            const target = ownShortLink(targetUrl, customHostnames);
+            if (!target) continue;
+
+            const code = describeLinkKey(target);
+            if (path.includes(code)) {
+                return { error: `${label} would create a redirect loop (${[...path, code].join(' -> ')}).` };
             }
-        });
-    } catch (error) {
-        console.error('API Read Single Error:', error);
-        res.status(500).json({
-            error: 'Internal Server Error',
-            message: 'Error fetching link'
-        });
+            if (depth >= MAX_REDIRECT_CHAIN) {
+                return { error: `${label} passes through more than ${MAX_REDIRECT_CHAIN} short links (${[...path, code].join(' -> ')}).` };
+            }
+
+            const link = await storage.links.get(target);
+            if (!link) continue;
+            linkDestinations(link).forEach(url => next.push({ targetUrl: url, path: [...path, code] }));
+        }
+        frontier = next;
     }
-});
+    return {};
+}
 
-// Update a link
-app.put('/api/links/:shortened', authenticateAPI, async (req, res) => {
-    try {
-        const { targetUrl } = req.body;
+function generateRandomString(length = 7) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    return Array.from({ length }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+}
 
-        if (!targetUrl) {
-            return res.status(400).json({
-                error: 'Bad Request',
-                message: 'targetUrl is required'
-            });
-        }
+// Parse the optional expiry fields from a request body.
+// Only fields present in the body are returned; an empty value clears the limit.
+function parseExpiryOptions(body) {
+    const options = {};
 
-        const link = await Link.findOneAndUpdate(
-            { shortened: req.params.shortened },
-            { $set: { targetUrl } },
-            { new: true }
-        );
-        
-        await Tracking.findOneAndUpdate(
-            { shortened: req.params.shortened },
-            { 
-                $set: { targetUrl },
-                $setOnInsert: { visits: [] } 
-            },
-            { upsert: true, new: true }
-        );
+    if (body.expiresAt !== undefined) {
+        if (body.expiresAt === null || body.expiresAt === '') {
+            options.expiresAt = null;
+        } else {
+            const expiresAt = new Date(body.expiresAt);
+            if (Number.isNaN(expiresAt.getTime())) {
+                return { error: 'expiresAt must be a valid date.' };
+            }
+            options.expiresAt = expiresAt;
+        }
+    }
 
-        if (!link) {
-            return res.status(404).json({
-                error: 'Not Found',
-                message: 'Shortened link not found'
-            });
+    if (body.maxVisits !== undefined) {
+        if (body.maxVisits === null || body.maxVisits === '') {
+            options.maxVisits = null;
+        } else {
+            const maxVisits = Number(body.maxVisits);
+            if (!Number.isInteger(maxVisits) || maxVisits < 1) {
+                return { error: 'maxVisits must be a positive whole number.' };
+            }
+            options.maxVisits = maxVisits;
         }
+    }
 
-        res.json({
-            success: true,
-            message: 'Link updated successfully',
-            data: {
-                shortened: link.shortened,
-                targetUrl: link.targetUrl,
-                visitCount: link.visitCount,
-                createdAt: link.createdAt,
-                shortUrl: `${req.protocol}://${req.get('host')}/${link.shortened}`
+    // Changing either limit re-arms the link.expired webhook event
+    if (Object.keys(options).length > 0) {
+        options.expiredNotifiedAt = null;
+    }
+
+    return { options };
+}
+
+// Hash a password with a random salt, stored as "salt:hash"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash || typeof password !== 'string') return false;
+    const candidate = crypto.scryptSync(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Create a new random API key; returns the plaintext key and the fields to store
+function generateApiKey() {
+    const key = `lsk_${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 10), keyHash: hashApiKey(key) };
+}
+
+// API keys are long random strings, so a fast unsalted hash is enough to look them up
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Read the API key from "Authorization: <key>" or "Authorization: Bearer <key>"
+function readApiKey(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return null;
+    return authHeader.replace(/^Bearer\s+/i, '').trim() || null;
+}
+
+// Validate the fields of a new API key from the admin form
+function parseApiKeyOptions(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'A name is required.' };
+    }
+
+    const scopes = [].concat(body.scopes || []);
+    if (scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        return { error: `Choose at least one scope from: ${API_KEY_SCOPES.join(', ')}.` };
+    }
+
+    let rateLimit = null;
+    if (body.rateLimit !== undefined && body.rateLimit !== '') {
+        rateLimit = Number(body.rateLimit);
+        if (!Number.isInteger(rateLimit) || rateLimit < 1) {
+            return { error: 'The rate limit must be a positive whole number.' };
+        }
+    }
+
+    const expiry = parseExpiryOptions({ expiresAt: body.expiresAt });
+    if (expiry.error) return expiry;
+
+    return { options: { name, scopes: [...new Set(scopes)], rateLimit, expiresAt: expiry.options.expiresAt || null } };
+}
+
+// Validate a username/password/role from the user management form.
+// The password is only required when it is being set.
+function parseUserOptions(body, { requirePassword = true } = {}) {
+    const options = {};
+
+    if (body.username !== undefined) {
+        const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+        if (!/^[a-z0-9._-]{2,32}$/.test(username)) {
+            return { error: 'Usernames must be 2-32 characters: letters, numbers, ".", "_" or "-".' };
+        }
+        if (username === SUPERADMIN_USERNAME) {
+            return { error: `The username "${SUPERADMIN_USERNAME}" is reserved.` };
+        }
+        options.username = username;
+    }
+
+    if (body.password !== undefined || requirePassword) {
+        if (typeof body.password !== 'string' || body.password.length < 8) {
+            return { error: 'Passwords must be at least 8 characters.' };
+        }
+        options.passwordHash = hashPassword(body.password);
+    }
+
+    if (body.role !== undefined) {
+        if (!USER_ROLES.includes(body.role)) {
+            return { error: `Role must be one of: ${USER_ROLES.join(', ')}.` };
+        }
+        options.role = body.role;
+    }
+
+    return { options };
+}
+
+// Validate a custom domain from the domain management form.
+// The hostname is only read when the domain is created - links refer to it by name.
+function parseDomainOptions(body, { includeHostname = true } = {}) {
+    const options = {};
+
+    if (includeHostname) {
+        const hostname = typeof body.hostname === 'string' ? body.hostname.trim().toLowerCase().replace(/\.$/, '') : '';
+        if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(hostname)) {
+            return { error: 'Enter a hostname such as go.example.com, without https:// or a path.' };
+        }
+        if (hostname === DOMAIN_HOSTNAME) {
+            return { error: `${hostname} is the default domain (DOMAIN_URL) and is always served.` };
+        }
+        options.hostname = hostname;
+    }
+
+    for (const [field, label] of [['rootUrl', 'Root page URL'], ['notFoundUrl', 'Not found page URL']]) {
+        if (!body[field]) {
+            options[field] = null;
+            continue;
+        }
+        const target = normalizeTargetUrl(body[field], label);
+        if (target.error) return target;
+        options[field] = target.url;
+    }
+
+    return { options };
+}
+
+const SUPERADMIN_USERNAME = 'superadmin';
+
+function hasRole(user, role) {
+    return Boolean(user) && USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+// Admins can change any link, editors only the links they own
+function canManageLink(user, link) {
+    return hasRole(user, 'admin') || (hasRole(user, 'editor') && link.owner === user.username);
+}
+
+// Give links created before user accounts existed to the superadmin
+async function assignLegacyOwners() {
+    const assigned = await storage.links.assignOwner(SUPERADMIN_USERNAME);
+    if (assigned > 0) {
+        logger.info({ links: assigned }, 'Assigned unowned links to the superadmin');
+    }
+}
+
+// Write access to links implies read access
+function apiKeyHasScope(apiKey, scope) {
+    return apiKey.scopes.includes(scope) || (scope === 'links:read' && apiKey.scopes.includes('links:write'));
+}
+
+// Parse tags from an array or a comma separated string; tags are stored lowercase
+const MAX_TAGS = 20;
+
+function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const tags = [];
+    for (const item of list) {
+        if (typeof item !== 'string') return { error: 'tags must be strings.' };
+        const tag = item.trim().toLowerCase();
+        if (!tag) continue;
+        if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(tag)) {
+            return { error: `Invalid tag "${tag}": use up to 32 letters, numbers, "-" or "_".` };
+        }
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS) {
+        return { error: `A link can have at most ${MAX_TAGS} tags.` };
+    }
+    return { tags };
+}
+
+// Parse the optional title, notes and tags from a request body.
+// Only fields present in the body are returned; an empty value clears the field.
+function parseLinkMetadata(body) {
+    const options = {};
+
+    for (const [field, maxLength] of [['title', 200], ['notes', 2000]]) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return { error: `${field} must be a string.` };
+        }
+        const value = (body[field] || '').trim();
+        if (value.length > maxLength) {
+            return { error: `${field} must be at most ${maxLength} characters.` };
+        }
+        options[field] = value || null;
+    }
+
+    if (body.tags !== undefined) {
+        const parsed = parseTags(body.tags);
+        if (parsed.error) return parsed;
+        options.tags = parsed.tags;
+    }
+
+    return { options };
+}
+
+// Parse UTM defaults and query forwarding options from a request body.
+// Accepts `utm: { source, ... }` (API) or flat utmSource/utmMedium/... fields (admin form).
+// Only fields present in the body are returned; an empty value clears a parameter.
+function parseQueryOptions(body) {
+    const options = {};
+
+    const flat = UTM_FIELDS.some(field => body[`utm${field[0].toUpperCase()}${field.slice(1)}`] !== undefined);
+    if (body.utm !== undefined || flat) {
+        const source = flat
+            ? Object.fromEntries(UTM_FIELDS.map(field => [field, body[`utm${field[0].toUpperCase()}${field.slice(1)}`]]))
+            : body.utm;
+        if (source !== null && (typeof source !== 'object' || Array.isArray(source))) {
+            return { error: 'utm must be an object with source, medium, campaign, term and/or content.' };
+        }
+
+        const utm = {};
+        for (const field of UTM_FIELDS) {
+            const value = source?.[field];
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                return { error: `utm.${field} must be a string.` };
+            }
+            if (value && value.length > 200) {
+                return { error: `utm.${field} must be at most 200 characters.` };
+            }
+            utm[field] = value ? value.trim() || null : null;
+        }
+        options.utm = utm;
+    }
+
+    if (body.forwardQuery !== undefined) {
+        options.forwardQuery = body.forwardQuery === true || body.forwardQuery === 'true' || body.forwardQuery === 'on';
+    }
+
+    if (body.queryPrecedence !== undefined) {
+        if (!QUERY_PRECEDENCES.includes(body.queryPrecedence)) {
+            return { error: `queryPrecedence must be one of: ${QUERY_PRECEDENCES.join(', ')}.` };
+        }
+        options.queryPrecedence = body.queryPrecedence;
+    }
+
+    return { options };
+}
+
+// Parse the social preview card from a request body.
+// Accepts `preview: { title, description, image }` (API) or flat previewTitle/previewDescription/previewImage
+// fields (admin form). Like utm, a given preview replaces the stored one; empty fields are cleared.
+function parsePreviewOptions(body) {
+    const fields = Object.keys(PREVIEW_FIELDS);
+    const flat = fields.some(field => body[`preview${field[0].toUpperCase()}${field.slice(1)}`] !== undefined);
+    if (body.preview === undefined && !flat) return { options: {} };
+
+    const source = flat
+        ? Object.fromEntries(fields.map(field => [field, body[`preview${field[0].toUpperCase()}${field.slice(1)}`]]))
+        : body.preview;
+    if (source !== null && (typeof source !== 'object' || Array.isArray(source))) {
+        return { error: 'preview must be an object with title, description and/or image.' };
+    }
+
+    const preview = {};
+    for (const [field, maxLength] of Object.entries(PREVIEW_FIELDS)) {
+        const value = source?.[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return { error: `preview.${field} must be a string.` };
+        }
+        const trimmed = (value || '').trim();
+        if (trimmed.length > maxLength) {
+            return { error: `preview.${field} must be at most ${maxLength} characters.` };
+        }
+        preview[field] = trimmed || null;
+    }
+
+    if (preview.image) {
+        let url;
+        try {
+            url = new URL(preview.image);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'preview.image must be an absolute http or https URL.' };
+        }
+        preview.image = url.toString();
+    }
+
+    return { options: { preview } };
+}
+
+// Chat apps and social networks fetch this to build a link preview - isbot alone also matches search engines
+const PREVIEW_CRAWLER_PATTERN = /facebookexternalhit|facebot|twitterbot|slackbot|linkedinbot|whatsapp|telegrambot|discordbot|skypeuripreview|pinterest|redditbot|mastodon|vkshare|embedly|iframely|snapchat|viber/i;
+
+function isPreviewCrawler(userAgent) {
+    return isbot(userAgent) && PREVIEW_CRAWLER_PATTERN.test(userAgent);
+}
+
+function hasPreviewCard(link) {
+    return Object.keys(PREVIEW_FIELDS).some(field => link.preview?.[field]);
+}
+
+// The raw query string of a request, including the leading "?" (or "")
+function requestSearch(req) {
+    const index = req.originalUrl.indexOf('?');
+    return index === -1 ? '' : req.originalUrl.slice(index);
+}
+
+// Take the ?src=qr scan marker off a query string, so it is stored on the visit instead of forwarded
+function splitSourceMarker(search) {
+    const params = new URLSearchParams(search);
+    if (params.get('src') !== QR_SOURCE) return { source: null, search };
+
+    params.delete('src');
+    const rest = params.toString();
+    return { source: QR_SOURCE, search: rest ? `?${rest}` : '' };
+}
+
+// Merge the link's UTM defaults and (optionally) the visitor's query string into the destination.
+// UTM defaults only fill parameters the destination does not already set. When a forwarded
+// request parameter clashes, queryPrecedence decides: 'target' keeps the destination's value,
+// 'request' replaces it.
+function buildRedirectUrl(targetUrl, link, search) {
+    const hasUtm = UTM_FIELDS.some(field => link.utm?.[field]);
+    if (!hasUtm && !(link.forwardQuery && search)) return targetUrl;
+
+    let url;
+    try {
+        url = new URL(targetUrl);
+    } catch (error) {
+        return targetUrl; // Leave anything that is not an absolute URL untouched
+    }
+
+    for (const field of UTM_FIELDS) {
+        const value = link.utm?.[field];
+        if (value && !url.searchParams.has(`utm_${field}`)) {
+            url.searchParams.set(`utm_${field}`, value);
+        }
+    }
+
+    if (link.forwardQuery && search) {
+        const incoming = new URLSearchParams(search);
+        for (const key of new Set(incoming.keys())) {
+            if (url.searchParams.has(key) && link.queryPrecedence !== 'request') continue;
+            url.searchParams.delete(key);
+            incoming.getAll(key).forEach(value => url.searchParams.append(key, value));
+        }
+    }
+
+    return url.toString();
+}
+
+// Parse the optional access password from a request body.
+// A non-empty string sets a new password; null or removeAccessPassword clears it.
+function parseAccessPassword(body) {
+    if (body.accessPassword === null || body.removeAccessPassword === true || body.removeAccessPassword === 'on') {
+        return { options: { accessPasswordHash: null } };
+    }
+    if (body.accessPassword === undefined || body.accessPassword === '') {
+        return { options: {} };
+    }
+    if (typeof body.accessPassword !== 'string') {
+        return { error: 'accessPassword must be a string.' };
+    }
+    return { options: { accessPasswordHash: hashPassword(body.accessPassword) } };
+}
+
+// Validate a list of routing rules from a request body
+function parseRoutingRules(rules) {
+    if (!Array.isArray(rules)) {
+        return { error: 'rules must be an array.' };
+    }
+
+    const parsed = [];
+    for (const [index, rule] of rules.entries()) {
+        const result = parseRoutingRule(rule);
+        if (result.error) {
+            return { error: `Rule ${index + 1}: ${result.error}` };
+        }
+        parsed.push(result.rule);
+    }
+    return { rules: parsed };
+}
+
+function parseRoutingRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return { error: 'must be an object with field, operator, value and targetUrl.' };
+    }
+
+    const { field, operator = 'equals', value, targetUrl } = rule;
+    if (!RULE_FIELDS.includes(field)) {
+        return { error: `field must be one of ${RULE_FIELDS.join(', ')}.` };
+    }
+    if (!RULE_OPERATORS.includes(operator)) {
+        return { error: `operator must be one of ${RULE_OPERATORS.join(', ')}.` };
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return { error: 'value is required.' };
+    }
+    const target = normalizeTargetUrl(targetUrl);
+    if (target.error) {
+        return { error: target.error };
+    }
+
+    return { rule: { field, operator, value: value.trim(), targetUrl: target.url } };
+}
+
+// Read the visitor attribute a routing rule field refers to
+function getVisitorAttribute(field, visitor) {
+    switch (field) {
+        case 'device':
+            return visitor.parsedUA.device?.type || 'desktop';
+        case 'os':
+            return visitor.parsedUA.os?.name || null;
+        case 'browser':
+            return visitor.parsedUA.browser?.name || null;
+        case 'country':
+            return visitor.geo?.country || null;
+        case 'language':
+            // Preferred language is the first entry of accept-language, e.g. "de-DE,de;q=0.9" -> "de-DE"
+            return (visitor.acceptLanguage || '').split(',')[0].split(';')[0].trim() || null;
+        default:
+            return null;
+    }
+}
+
+function ruleMatches(rule, visitor) {
+    const actual = getVisitorAttribute(rule.field, visitor);
+    if (!actual) return false;
+
+    const attribute = actual.toLowerCase();
+    const expected = rule.value.toLowerCase();
+    switch (rule.operator) {
+        case 'startsWith':
+            return attribute.startsWith(expected);
+        case 'contains':
+            return attribute.includes(expected);
+        default:
+            return attribute === expected;
+    }
+}
+
+function describeRule(rule) {
+    return `${rule.field} ${rule.operator} ${rule.value}`;
+}
+
+// Validate a list of A/B variants from a request body
+function parseVariants(variants) {
+    if (!Array.isArray(variants)) {
+        return { error: 'variants must be an array.' };
+    }
+
+    const parsed = [];
+    for (const [index, variant] of variants.entries()) {
+        const result = parseVariant(variant);
+        if (result.error) {
+            return { error: `Variant ${index + 1}: ${result.error}` };
+        }
+        if (result.variant.name && parsed.some(v => v.name === result.variant.name)) {
+            return { error: `Variant ${index + 1}: name "${result.variant.name}" is already used.` };
+        }
+        parsed.push(result.variant);
+    }
+
+    // Unnamed variants get the first free letter (A, B, C...)
+    for (const variant of parsed.filter(v => !v.name)) {
+        let code = 65;
+        while (parsed.some(v => v.name === String.fromCharCode(code))) code++;
+        variant.name = String.fromCharCode(code);
+    }
+
+    if (parsed.length > 0 && parsed.every(v => v.weight === 0)) {
+        return { error: 'At least one variant must have a weight above 0.' };
+    }
+    return { variants: parsed };
+}
+
+function parseVariant(variant) {
+    if (!variant || typeof variant !== 'object') {
+        return { error: 'must be an object with targetUrl and weight.' };
+    }
+
+    const { targetUrl } = variant;
+    const name = variant.name ? String(variant.name).trim() : null;
+    const weight = variant.weight === undefined || variant.weight === '' ? 1 : Number(variant.weight);
+
+    const target = normalizeTargetUrl(targetUrl);
+    if (target.error) {
+        return { error: target.error };
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+        return { error: 'weight must be a number of 0 or more.' };
+    }
+
+    return { variant: { name, targetUrl: target.url, weight } };
+}
+
+function pickVariant(variants) {
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    let roll = Math.random() * total;
+    for (const variant of variants) {
+        roll -= variant.weight;
+        if (roll < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+function variantCookieName(shortened) {
+    return `lsv_${shortened}`;
+}
+
+function readCookie(req, name) {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [key, ...value] = cookie.trim().split('=');
+        if (key !== name) continue;
+        try {
+            return decodeURIComponent(value.join('='));
+        } catch (error) {
+            return null; // Malformed cookie - treated as absent
+        }
+    }
+    return null;
+}
+
+// Canonical name of an IANA time zone ("utc" -> "UTC"), or null if it is unknown
+function normalizeTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone.trim()) return null;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timeZone.trim() }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+function timeZoneOffsetMs(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+const OFFSET_TIME_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Parse a schedule time. Times with an offset (2026-05-01T10:00:00Z, ...+02:00) are taken as they are;
+// times without one (2026-05-01T10:00, as sent by datetime-local inputs) are wall-clock times in timeZone.
+function parseScheduleTime(value, timeZone, label) {
+    if (value === undefined || value === null || value === '') return { date: null };
+    if (typeof value !== 'string') {
+        return { error: `${label} must be a date string.` };
+    }
+
+    const raw = value.trim();
+    if (OFFSET_TIME_PATTERN.test(raw)) {
+        const date = new Date(raw);
+        return Number.isNaN(date.getTime()) ? { error: `${label} must be a valid date.` } : { date };
+    }
+
+    const match = LOCAL_TIME_PATTERN.exec(raw);
+    if (!match) {
+        return { error: `${label} must be a date such as 2026-05-01T10:00 or 2026-05-01T10:00:00Z.` };
+    }
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => Number(part || 0));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const check = new Date(wallClock);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return { error: `${label} must be a valid date.` };
+    }
+
+    // The second pass corrects the offset when a daylight saving change lies between the two guesses
+    let instant = wallClock - timeZoneOffsetMs(check, timeZone);
+    instant = wallClock - timeZoneOffsetMs(new Date(instant), timeZone);
+    return { date: new Date(instant) };
+}
+
+// Validate a list of schedule entries from a request body
+function parseSchedule(entries, timeZone) {
+    if (!Array.isArray(entries)) {
+        return { error: 'schedule must be an array.' };
+    }
+
+    const parsed = [];
+    for (const [index, entry] of entries.entries()) {
+        const result = parseScheduleEntry(entry, timeZone);
+        if (result.error) {
+            return { error: `Schedule entry ${index + 1}: ${result.error}` };
+        }
+        if (result.entry.name && parsed.some(e => e.name === result.entry.name)) {
+            return { error: `Schedule entry ${index + 1}: name "${result.entry.name}" is already used.` };
+        }
+        parsed.push(result.entry);
+    }
+
+    // Unnamed entries get the first free "Slot n" name
+    for (const entry of parsed.filter(e => !e.name)) {
+        entry.name = freeScheduleName(parsed);
+    }
+    return { schedule: parsed };
+}
+
+function freeScheduleName(entries) {
+    let number = 1;
+    while (entries.some(e => e.name === `Slot ${number}`)) number++;
+    return `Slot ${number}`;
+}
+
+function parseScheduleEntry(entry, timeZone) {
+    if (!entry || typeof entry !== 'object') {
+        return { error: 'must be an object with startsAt, endsAt and targetUrl.' };
+    }
+
+    const name = entry.name ? String(entry.name).trim() : null;
+    const startsAt = parseScheduleTime(entry.startsAt, timeZone, 'startsAt');
+    if (startsAt.error) return startsAt;
+    const endsAt = parseScheduleTime(entry.endsAt, timeZone, 'endsAt');
+    if (endsAt.error) return endsAt;
+    if (!startsAt.date && !endsAt.date) {
+        return { error: 'startsAt or endsAt is required.' };
+    }
+    if (startsAt.date && endsAt.date && endsAt.date <= startsAt.date) {
+        return { error: 'endsAt must be after startsAt.' };
+    }
+
+    const target = normalizeTargetUrl(entry.targetUrl);
+    if (target.error) {
+        return { error: target.error };
+    }
+
+    return { entry: { name, startsAt: startsAt.date, endsAt: endsAt.date, targetUrl: target.url } };
+}
+
+// Parse schedule and scheduleTimezone from a request body. Schedule times without an offset are read in
+// scheduleTimezone, or in fallbackTimeZone (the link's stored zone) when none is sent.
+function parseScheduleOptions(body, fallbackTimeZone = 'UTC') {
+    const options = {};
+    let timeZone = fallbackTimeZone;
+    if (body.scheduleTimezone !== undefined && body.scheduleTimezone !== null && body.scheduleTimezone !== '') {
+        timeZone = normalizeTimeZone(body.scheduleTimezone);
+        if (!timeZone) {
+            return { error: 'scheduleTimezone must be an IANA time zone such as Europe/Berlin or UTC.' };
+        }
+        options.scheduleTimezone = timeZone;
+    }
+    if (body.schedule !== undefined) {
+        const parsed = parseSchedule(body.schedule === null ? [] : body.schedule, timeZone);
+        if (parsed.error) return parsed;
+        options.schedule = parsed.schedule;
+    }
+    return { options };
+}
+
+// The zone a request's schedule times are read in when it sends no scheduleTimezone - the link's own
+async function storedScheduleTimezone(key, body) {
+    if (body.schedule === undefined || body.scheduleTimezone) return 'UTC';
+    const link = await storage.links.get(key);
+    return link?.scheduleTimezone || 'UTC';
+}
+
+// The schedule entry active at the given time - the first one in list order when several overlap
+function activeScheduleEntry(link, now = new Date()) {
+    return (link.schedule || []).find(entry =>
+        (!entry.startsAt || entry.startsAt <= now) && (!entry.endsAt || now < entry.endsAt)
+    ) || null;
+}
+
+// Pick the target of the first matching routing rule, then the active schedule entry, then an A/B variant,
+// falling back to the link's targetUrl
+function resolveDestination(link, visitor) {
+    const rule = (link.rules || []).find(r => ruleMatches(r, visitor));
+    if (rule) {
+        return { targetUrl: rule.targetUrl, matchedRule: describeRule(rule), variant: null, scheduleEntry: null };
+    }
+
+    const entry = activeScheduleEntry(link);
+    if (entry) {
+        return { targetUrl: entry.targetUrl, matchedRule: null, variant: null, scheduleEntry: entry.name };
+    }
+
+    const variants = (link.variants || []).filter(v => v.weight > 0);
+    if (variants.length > 0) {
+        // Returning visitors keep their previous variant while it is still in rotation
+        const variant = variants.find(v => v.name === visitor.preferredVariant) || pickVariant(variants);
+        return { targetUrl: variant.targetUrl, matchedRule: null, variant: variant.name, scheduleEntry: null };
+    }
+
+    return { targetUrl: link.targetUrl, matchedRule: null, variant: null, scheduleEntry: null };
+}
+
+// Deep link fields and how each is validated: app URLs may use the app's own scheme, store URLs
+// follow the target URL policy
+const DEEP_LINK_FIELDS = { iosUrl: 'app', iosStoreUrl: 'store', androidUrl: 'app', androidStoreUrl: 'store' };
+const BLOCKED_APP_URL_SCHEMES = ['javascript', 'data', 'vbscript', 'file', 'blob'];
+
+function normalizeAppUrl(value, label) {
+    const raw = value.trim();
+    if (/[\s\u0000-\u001f\u007f]/.test(raw)) {
+        return { error: `${label} must not contain spaces or control characters.` };
+    }
+
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (error) {
+        return { error: `${label} must be an absolute URL such as myapp://item/42.` };
+    }
+
+    const scheme = url.protocol.slice(0, -1).toLowerCase();
+    if (BLOCKED_APP_URL_SCHEMES.includes(scheme)) {
+        return { error: `${label} must not use the "${scheme}:" scheme.` };
+    }
+    // Universal links and app links are ordinary web URLs
+    if (scheme === 'http' || scheme === 'https') return normalizeTargetUrl(raw, label);
+    if (raw.length > MAX_TARGET_URL_LENGTH) {
+        return { error: `${label} must be at most ${MAX_TARGET_URL_LENGTH} characters.` };
+    }
+    return { url: raw }; // Kept verbatim - intent:// URLs must not be re-encoded
+}
+
+// Validate the deep links of a link. Like utm, the given object replaces the stored one;
+// empty fields (or deepLinks: null) are cleared.
+function parseDeepLinks(source) {
+    if (source !== null && (typeof source !== 'object' || Array.isArray(source))) {
+        return { error: `deepLinks must be an object with ${Object.keys(DEEP_LINK_FIELDS).join(', ')}.` };
+    }
+
+    const deepLinks = {};
+    for (const [field, kind] of Object.entries(DEEP_LINK_FIELDS)) {
+        const value = source?.[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            return { error: `deepLinks.${field} must be a string.` };
+        }
+        if (!value || !value.trim()) {
+            deepLinks[field] = null;
+            continue;
+        }
+
+        const parsed = kind === 'app' ? normalizeAppUrl(value, `deepLinks.${field}`) : normalizeTargetUrl(value, `deepLinks.${field}`);
+        if (parsed.error) return parsed;
+        deepLinks[field] = parsed.url;
+    }
+    return { deepLinks };
+}
+
+function hasDeepLinks(link) {
+    return Object.keys(DEEP_LINK_FIELDS).some(field => link.deepLinks?.[field]);
+}
+
+// Mobile platform from the parsed user agent - null for desktop and everything else
+function devicePlatform(parsedUA) {
+    const os = parsedUA.os?.name;
+    if (os === 'iOS' || os === 'iPadOS') return 'ios';
+    if (os === 'Android') return 'android';
+    return null;
+}
+
+// Where a visit goes under the link's deep links: the app (through the interstitial, which falls back to
+// the store page or the web destination), straight to the store, or null for the web destination
+function resolveDeepLink(link, platform) {
+    if (!platform) return null;
+    const appUrl = link.deepLinks?.[`${platform}Url`];
+    const storeUrl = link.deepLinks?.[`${platform}StoreUrl`];
+    if (appUrl) return { path: 'app', url: appUrl, storeUrl: storeUrl || null };
+    if (storeUrl) return { path: 'store', url: storeUrl };
+    return null;
+}
+
+// Append a target URL change to the link's history (no-op if the target did not change)
+async function recordTargetChange({ domain = null, shortened, oldTargetUrl, newTargetUrl, source, actor = null, note = null }) {
+    if (oldTargetUrl === newTargetUrl) return null;
+
+    return storage.history.append({ domain, shortened }, {
+        oldTargetUrl: oldTargetUrl || null,
+        newTargetUrl,
+        source,
+        actor,
+        note
+    });
+}
+
+function serializeHistoryEntry(entry) {
+    return {
+        version: entry.version,
+        oldTargetUrl: entry.oldTargetUrl,
+        newTargetUrl: entry.newTargetUrl,
+        source: entry.source,
+        actor: entry.actor,
+        note: entry.note,
+        changedAt: entry.changedAt
+    };
+}
+
+const ROLLUP_BUCKET_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const MAX_STATS_BUCKETS = 5000; // Longest time series the stats endpoints will return
+
+// Start of the UTC hour/day a timestamp falls into
+function rollupBucket(timestamp, granularity) {
+    const bucket = new Date(timestamp);
+    bucket.setUTCMinutes(0, 0, 0);
+    if (granularity === 'day') bucket.setUTCHours(0);
+    return bucket;
+}
+
+// Hourly and daily counter changes for a batch of visits ({ key, timestamp, isBot }) - one entry
+// per link and bucket, negated when the visits are being taken off
+function rollupIncrements(visits, sign = 1) {
+    const increments = new Map();
+    for (const visit of visits) {
+        for (const granularity of ROLLUP_GRANULARITIES) {
+            const bucket = rollupBucket(visit.timestamp, granularity);
+            const id = JSON.stringify([visit.key.domain || null, visit.key.shortened, granularity, bucket]);
+            const entry = increments.get(id) || { key: visit.key, granularity, bucket, total: 0, humans: 0, bots: 0 };
+            entry.total += sign;
+            if (visit.isBot) entry.bots += sign;
+            else entry.humans += sign;
+            increments.set(id, entry);
+        }
+    }
+    return [...increments.values()];
+}
+
+// Bump the hourly and daily counters for a batch of visits
+async function recordRollups(visits) {
+    await storage.rollups.add(rollupIncrements(visits));
+}
+
+// Visit totals for a link, summed from its daily rollups
+function getVisitCounters(key) {
+    return storage.rollups.totals(key);
+}
+
+// Move visits out of legacy Tracking documents (see the backend's migrateLegacyVisits)
+async function migrateLegacyVisits() {
+    for (const { key, count } of await storage.migrateLegacyVisits()) {
+        logger.info({ shortCode: key.shortened, count }, 'Migrated legacy visits');
+    }
+}
+
+// Reduce a visitor IP to what PRIVACY_MODE allows to be stored: the address itself, its network
+// (IPv4 /24, IPv6 /48) or a salted hash. Returns null for anything that is not an IP.
+function anonymizeIp(ip) {
+    if (!ip || !net.isIP(ip)) return null;
+    if (PRIVACY_MODE === 'full') return ip;
+    if (PRIVACY_MODE === 'hash') {
+        return crypto.createHmac('sha256', IP_HASH_SALT).update(ip).digest('hex').slice(0, 32);
+    }
+
+    const ipv4 = /^(?:::ffff:)?(\d+\.\d+\.\d+)\.\d+$/i.exec(ip);
+    if (ipv4) return `${ipv4[1]}.0`;
+    const [head, tail] = ip.split('::');
+    const groups = head ? head.split(':') : [];
+    if (tail !== undefined) {
+        const tailGroups = tail ? tail.split(':') : [];
+        groups.push(...Array(8 - groups.length - tailGroups.length).fill('0'), ...tailGroups);
+    }
+    return `${groups.slice(0, 3).join(':')}::`;
+}
+
+// Whether the visitor asked not to be tracked (Do-Not-Track or Global Privacy Control)
+function visitorOptedOut(req) {
+    return HONOR_DO_NOT_TRACK && (req.headers.dnt === '1' || req.headers['sec-gpc'] === '1');
+}
+
+function parseErasureIp(value) {
+    const ip = typeof value === 'string' ? value.trim() : '';
+    if (!net.isIP(ip)) {
+        return { error: 'ip must be an IPv4 or IPv6 address.' };
+    }
+    return { ip };
+}
+
+// Delete every visit stored for an IP - under the current privacy mode or as a raw address from
+// before it - and take those visits off the rollup counters. Queued or logged webhook deliveries
+// lose their visit details too. A truncated address stands for its whole network, so in truncate
+// mode only raw addresses match.
+async function eraseVisitsByIp(ip) {
+    const addresses = PRIVACY_MODE === 'truncate' ? [ip] : [...new Set([ip, anonymizeIp(ip)])];
+    const visits = await storage.visits.removeByIp(addresses);
+    await storage.rollups.add(rollupIncrements(visits.map(visit => ({ ...visit, key: linkKey(visit) })), -1));
+    await storage.deliveries.scrubVisitsByIp(addresses);
+
+    return {
+        deleted: visits.length,
+        links: new Set(visits.map(visit => describeLinkKey(linkKey(visit)))).size
+    };
+}
+
+// Delete visits older than VISIT_RETENTION_DAYS. Their hourly/daily rollups and the links' visit
+// counts stay, so time series and totals survive; breakdowns only cover the visits still stored.
+const RETENTION_WORKER_INTERVAL_MS = 60 * 60 * 1000;
+
+async function purgeExpiredVisits() {
+    const cutoff = new Date(Date.now() - VISIT_RETENTION_DAYS * ROLLUP_BUCKET_MS.day);
+    const deleted = await storage.visits.removeBefore(cutoff);
+    await storage.deliveries.scrubVisitsBefore(cutoff);
+    if (deleted > 0) {
+        logger.info({ count: deleted, cutoff }, 'Purged visits past the retention period');
+    }
+}
+
+// Parse from/to/granularity/includeBots/limit for the stats endpoints (default: last 30 days, daily)
+function parseStatsQuery(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const granularity = query.granularity || 'day';
+    const limit = query.limit ? Number(query.limit) : 10;
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates.' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to.' };
+    }
+    if (!ROLLUP_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of ${ROLLUP_GRANULARITIES.join(', ')}.` };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return { error: 'limit must be a whole number between 1 and 100.' };
+    }
+
+    const bucketCount = Math.ceil((to - rollupBucket(from, granularity)) / ROLLUP_BUCKET_MS[granularity]);
+    if (bucketCount > MAX_STATS_BUCKETS) {
+        return { error: `The range covers too many ${granularity} buckets (max ${MAX_STATS_BUCKETS}). Use a shorter range or a coarser granularity.` };
+    }
+
+    return {
+        options: {
+            from,
+            to,
+            granularity,
+            limit,
+            includeBots: query.includeBots !== 'false'
+        }
+    };
+}
+
+// Click time series from the rollups, with empty buckets filled in as zero.
+// `key` selects one link; null sums every link.
+async function buildTimeSeries(key, { from, to, granularity, includeBots }) {
+    const start = rollupBucket(from, granularity);
+    const rows = await storage.rollups.series(key, { start, to, granularity });
+    const counts = new Map(rows.map(row => [row.bucket.getTime(), includeBots ? row.total : row.humans]));
+
+    const series = [];
+    for (let time = start.getTime(); time <= to.getTime(); time += ROLLUP_BUCKET_MS[granularity]) {
+        series.push({ bucket: new Date(time), visits: counts.get(time) || 0 });
+    }
+    return series;
+}
+
+// Totals, unique visitors and top-N breakdowns from the visit store
+async function buildBreakdowns(key, { from, to, includeBots, limit }) {
+    const result = await storage.visits.breakdowns(key, { from, to, includeBots, limit });
+    const toList = (rows, label = (value) => value) => rows.map(row => ({ value: label(row.value) ?? 'Unknown', count: row.count }));
+
+    const breakdowns = {
+        countries: toList(result.countries),
+        cities: toList(result.cities, (id) => id.city ? `${id.city}, ${id.country || '?'}` : null),
+        browsers: toList(result.browsers),
+        os: toList(result.os),
+        devices: toList(result.devices),
+        referrers: toList(result.referrers),
+        sources: toList(result.sources, (id) => id || 'direct') // 'qr' for tracked QR scans
+    };
+    if (!key) {
+        breakdowns.links = toList(result.links, describeLinkKey);
+    }
+
+    return {
+        totals: {
+            visits: result.visits,
+            humans: result.visits - result.bots,
+            bots: result.bots,
+            uniqueVisitors: result.uniqueVisitors
+        },
+        breakdowns
+    };
+}
+
+async function buildStats(key, options) {
+    const [timeSeries, { totals, breakdowns }] = await Promise.all([
+        buildTimeSeries(key, options),
+        buildBreakdowns(key, options)
+    ]);
+
+    return {
+        from: options.from,
+        to: options.to,
+        granularity: options.granularity,
+        includeBots: options.includeBots,
+        totals,
+        timeSeries,
+        breakdowns
+    };
+}
+
+// Export columns - nested geographic and userAgent fields flattened into one row per visit
+const EXPORT_COLUMNS = [
+    ['visitNumber', v => v.visitNumber],
+    ['timestamp', v => v.timestamp ? new Date(v.timestamp).toISOString() : null],
+    ['ipAddress', v => v.ipAddress],
+    ['country', v => v.geographic?.country],
+    ['region', v => v.geographic?.region],
+    ['city', v => v.geographic?.city],
+    ['timezone', v => v.geographic?.timezone],
+    ['latitude', v => v.geographic?.coordinates?.[0]],
+    ['longitude', v => v.geographic?.coordinates?.[1]],
+    ['userAgent', v => v.userAgent?.complete],
+    ['browserName', v => v.userAgent?.browser?.name],
+    ['browserVersion', v => v.userAgent?.browser?.version],
+    ['osName', v => v.userAgent?.os?.name],
+    ['osVersion', v => v.userAgent?.os?.version],
+    ['deviceType', v => v.userAgent?.device?.type],
+    ['deviceModel', v => v.userAgent?.device?.model],
+    ['engineName', v => v.userAgent?.engine?.name],
+    ['engineVersion', v => v.userAgent?.engine?.version],
+    ['cpuArchitecture', v => v.userAgent?.cpu?.architecture],
+    ['isBot', v => Boolean(v.isBot)],
+    ['referrer', v => v.referrer],
+    ['acceptLanguage', v => v.acceptLanguage],
+    ['acceptEncoding', v => v.acceptEncoding],
+    ['matchedRule', v => v.matchedRule],
+    ['scheduleEntry', v => v.scheduleEntry],
+    ['variant', v => v.variant],
+    ['destinationUrl', v => v.destinationUrl],
+    ['source', v => v.source],
+    ['platform', v => v.platform],
+    ['deepLinkPath', v => v.deepLinkPath],
+];
+
+function flattenVisit(visit) {
+    const row = {};
+    for (const [name, read] of EXPORT_COLUMNS) {
+        row[name] = read(visit) ?? null;
+    }
+    return row;
+}
+
+// Quote a CSV field, neutralising values a spreadsheet would run as a formula
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Parse format and filters for visit exports
+function parseExportQuery(query) {
+    const format = query.format || 'csv';
+    const bots = query.bots || 'include';
+    const criteria = { bots };
+
+    if (!['csv', 'ndjson'].includes(format)) {
+        return { error: 'format must be csv or ndjson.' };
+    }
+    if (!['include', 'exclude', 'only'].includes(bots)) {
+        return { error: 'bots must be include, exclude or only.' };
+    }
+
+    for (const param of ['from', 'to']) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${param} must be a valid date.` };
+        }
+        // A plain YYYY-MM-DD "to" date includes the whole day
+        if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        criteria[param] = date;
+    }
+
+    if (query.country) {
+        if (typeof query.country !== 'string' || !/^[A-Za-z]{2}$/.test(query.country)) {
+            return { error: 'country must be a two-letter country code.' };
+        }
+        criteria.country = query.country.toUpperCase();
+    }
+
+    return { format, criteria };
+}
+
+// Write part of a streamed response, waiting while the client catches up. Resolves false once
+// the client has gone away - a full buffer is never drained then, so waiting only for 'drain'
+// would hang the export and keep its cursor open.
+async function writeChunk(res, chunk) {
+    if (res.destroyed) return false;
+    if (res.write(chunk)) return true;
+
+    const done = new AbortController();
+    try {
+        await Promise.race([
+            once(res, 'drain', { signal: done.signal }),
+            once(res, 'close', { signal: done.signal })
+        ]);
+    } finally {
+        done.abort(); // Drop the listener that lost the race
+    }
+    return !res.destroyed;
+}
+
+// Stream a link's visits as CSV or NDJSON without loading them all into memory
+async function streamVisitExport(res, key, { format, criteria }) {
+    const extension = format === 'csv' ? 'csv' : 'ndjson';
+    const name = key.domain ? `${key.domain}-${key.shortened}` : key.shortened;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-visits.${extension}"`);
+
+    if (format === 'csv' && !(await writeChunk(res, EXPORT_COLUMNS.map(([name]) => name).join(',') + '\n'))) return;
+
+    const visits = storage.visits.iterate(key, criteria);
+    for await (const visit of visits) {
+        const row = flattenVisit(visit);
+        const written = await writeChunk(res, format === 'csv'
+            ? Object.values(row).map(csvField).join(',') + '\n'
+            : JSON.stringify(row) + '\n');
+        if (!written) return; // Client went away - leaving the loop closes the cursor
+    }
+    res.end();
+}
+
+// Minimal RFC 4180 CSV parser - handles quoted fields, escaped quotes and line breaks inside quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Turn CSV text with a shortened,targetUrl header row into link rows
+function parseLinksCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const shortenedIndex = columns.indexOf('shortened');
+    const targetUrlIndex = columns.indexOf('targeturl');
+    const domainIndex = columns.indexOf('domain');
+    const titleIndex = columns.indexOf('title');
+    const tagsIndex = columns.indexOf('tags');
+
+    if (targetUrlIndex === -1) {
+        return { error: 'CSV must have a header row with a targetUrl column (and optionally shortened, domain, title and tags).' };
+    }
+
+    return {
+        rows: rows.map(row => ({
+            shortened: shortenedIndex === -1 ? '' : (row[shortenedIndex] || '').trim(),
+            targetUrl: (row[targetUrlIndex] || '').trim(),
+            ...(domainIndex === -1 ? {} : { domain: (row[domainIndex] || '').trim() }),
+            ...(titleIndex === -1 ? {} : { title: row[titleIndex] || '' }),
+            ...(tagsIndex === -1 ? {} : { tags: row[tagsIndex] || '' })
+        }))
+    };
+}
+
+const MAX_BULK_ROWS = 1000;
+const BULK_STATUSES = ['created', 'updated', 'conflict', 'invalid', 'failed'];
+
+// Create or update many links at once, reporting an outcome per row.
+// Existing short codes are reported as conflicts unless onConflict is 'update'; dryRun skips all writes.
+async function importLinks(rows, { dryRun = false, onConflict = 'skip', source, actor, owner, canUpdate = () => true }) {
+    const results = [];
+    const seen = new Set();
+    const customHostnames = await storage.domains.hostnames();
+
+    for (const [index, row] of rows.entries()) {
+        const result = {
+            row: index + 1,
+            shortened: typeof row?.shortened === 'string' && row.shortened ? row.shortened : null,
+            domain: normalizeDomain(row?.domain),
+            targetUrl: typeof row?.targetUrl === 'string' ? row.targetUrl : null
+        };
+        results.push(result);
+
+        if (!row || typeof row !== 'object' || !result.targetUrl) {
+            result.status = 'invalid';
+            result.message = 'targetUrl is required';
+            continue;
+        }
+        const code = validateShortCode(result.shortened);
+        if (code.error) {
+            result.status = 'invalid';
+            result.message = code.error;
+            continue;
+        }
+
+        if (result.domain && !customHostnames.includes(result.domain)) {
+            result.status = 'invalid';
+            result.message = `Domain "${result.domain}" is not configured`;
+            continue;
+        }
+
+        const metadata = parseLinkMetadata({ title: row.title, tags: row.tags });
+        if (metadata.error) {
+            result.status = 'invalid';
+            result.message = metadata.error;
+            continue;
+        }
+
+        const target = normalizeTargetUrl(result.targetUrl);
+        if (target.error) {
+            result.status = 'invalid';
+            result.message = target.error;
+            continue;
+        }
+        result.targetUrl = target.url;
+
+        result.shortened = result.shortened || generateRandomString();
+        const key = linkKey(result);
+        if (seen.has(describeLinkKey(key))) {
+            result.status = 'conflict';
+            result.message = 'Short code appears more than once in this import';
+            continue;
+        }
+        seen.add(describeLinkKey(key));
+
+        try {
+            const chain = await checkRedirectChain(key, [result.targetUrl]);
+            if (chain.error) {
+                result.status = 'invalid';
+                result.message = chain.error;
+                continue;
+            }
+
+            const existing = await storage.links.get(key);
+            if (existing && onConflict !== 'update') {
+                result.status = 'conflict';
+                result.message = 'Short code already exists';
+                continue;
+            }
+            if (existing && !canUpdate(existing)) {
+                result.status = 'conflict';
+                result.message = 'Short code belongs to another user';
+                continue;
+            }
+
+            result.status = existing ? 'updated' : 'created';
+            if (dryRun) continue;
+
+            const { link: saved } = await storage.links.upsert(
+                key,
+                { targetUrl: result.targetUrl, ...metadata.options, updatedBy: actor, updatedAt: new Date() },
+                { owner }
+            );
+            await recordTargetChange({
+                ...key,
+                oldTargetUrl: existing?.targetUrl,
+                newTargetUrl: result.targetUrl,
+                source,
+                actor,
+                note: 'Bulk import'
+            });
+            emitLinkEvent(existing ? 'link.updated' : 'link.created', saved, { actor });
+        } catch (error) {
+            console.error('Bulk import row failed:', error);
+            result.status = 'failed';
+            result.message = 'Error saving link';
+        }
+    }
+
+    const summary = Object.fromEntries(BULK_STATUSES.map(status => [status, 0]));
+    results.forEach(result => summary[result.status]++);
+    return { dryRun, summary, results };
+}
+
+// Stream every link as CSV (re-importable) or as a JSON array
+async function streamLinkExport(res, format) {
+    const columns = ['shortened', 'domain', 'targetUrl', 'title', 'tags', 'visitCount', 'createdAt', 'expiresAt', 'maxVisits'];
+    const toRow = (link) => ({
+        shortened: link.shortened,
+        domain: link.domain || null,
+        targetUrl: link.targetUrl,
+        title: link.title ?? null,
+        tags: format === 'csv' ? (link.tags || []).join(',') : (link.tags || []),
+        visitCount: link.visitCount || 0,
+        createdAt: link.createdAt ? new Date(link.createdAt).toISOString() : null,
+        expiresAt: link.expiresAt ? new Date(link.expiresAt).toISOString() : null,
+        maxVisits: link.maxVisits ?? null
+    });
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="links.${format}"`);
+
+    if (!(await writeChunk(res, format === 'csv' ? columns.join(',') + '\n' : '[\n'))) return;
+
+    const links = storage.links.iterate();
+    let first = true;
+    for await (const link of links) {
+        const row = toRow(link);
+        const written = await writeChunk(res, format === 'csv'
+            ? columns.map(column => csvField(row[column])).join(',') + '\n'
+            : (first ? '' : ',\n') + JSON.stringify(row));
+        if (!written) return; // Client went away - leaving the loop closes the cursor
+        first = false;
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+}
+
+// Link listing: search, filters, sorting and cursor pagination shared by the dashboard and the API
+const LINK_SORT_FIELDS = ['createdAt', 'visitCount', 'shortened', 'targetUrl', 'title'];
+const DEFAULT_LINK_PAGE_SIZE = 50;
+const MAX_LINK_PAGE_SIZE = 200;
+
+function encodeLinkCursor(link, sortField) {
+    const value = link[sortField] instanceof Date ? { date: link[sortField].toISOString() } : link[sortField] ?? null;
+    return Buffer.from(JSON.stringify({ value, id: String(link._id) })).toString('base64url');
+}
+
+function decodeLinkCursor(cursor) {
+    try {
+        const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id)) return null;
+        return { value: value?.date ? new Date(value.date) : value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse search, filter, sort and page parameters for listing links
+function parseLinkQuery(query, { defaultSort = 'visitCount' } = {}) {
+    const criteria = {};
+
+    if (typeof query.q === 'string' && query.q.trim()) {
+        criteria.search = query.q.trim();
+    }
+
+    if (query.tag) {
+        const parsed = parseTags(query.tag);
+        if (parsed.error) return parsed;
+        if (parsed.tags.length > 0) criteria.tags = parsed.tags;
+    }
+
+    if (query.owner) {
+        if (typeof query.owner !== 'string') {
+            return { error: 'owner must be a username.' };
+        }
+        criteria.owner = query.owner.toLowerCase();
+    }
+
+    // DOMAIN_URL's own hostname selects links on the default domain
+    if (query.domain) {
+        if (typeof query.domain !== 'string') {
+            return { error: 'domain must be a hostname.' };
+        }
+        criteria.domain = normalizeDomain(query.domain);
+    }
+
+    if (query.health) {
+        if (![...HEALTH_STATES, 'unchecked'].includes(query.health)) {
+            return { error: `health must be one of: ${HEALTH_STATES.join(', ')}, unchecked.` };
+        }
+        criteria.health = query.health === 'unchecked' ? null : query.health;
+    }
+
+    for (const param of ['createdFrom', 'createdTo']) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${param} must be a valid date.` };
+        }
+        // A plain YYYY-MM-DD end date includes the whole day
+        if (param === 'createdTo' && /^\d{4}-\d{2}-\d{2}$/.test(query[param])) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        criteria[param] = date;
+    }
+
+    const sort = query.sort || defaultSort;
+    if (!LINK_SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${LINK_SORT_FIELDS.join(', ')}.` };
+    }
+    const order = query.order || (['shortened', 'targetUrl', 'title'].includes(sort) ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc.' };
+    }
+
+    let limit = DEFAULT_LINK_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LINK_PAGE_SIZE) {
+            return { error: `limit must be a whole number between 1 and ${MAX_LINK_PAGE_SIZE}.` };
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = typeof query.cursor === 'string' ? decodeLinkCursor(query.cursor) : null;
+        if (!cursor) {
+            return { error: 'cursor is invalid.' };
+        }
+    }
+
+    return {
+        criteria,
+        sort,
+        order,
+        limit,
+        cursor
+    };
+}
+
+// Fetch one page of links plus totals for the whole (unpaginated) result
+async function listLinks({ criteria, sort, order, limit, cursor }) {
+    const { links, hasMore, totals } = await storage.links.list(criteria, { sort, order, limit, after: cursor });
+    return {
+        links,
+        totals,
+        nextCursor: hasMore ? encodeLinkCursor(links[links.length - 1], sort) : null
+    };
+}
+
+// Shape a link document for API responses
+function serializeLink(link) {
+    return {
+        shortened: link.shortened,
+        domain: link.domain || null,
+        targetUrl: link.targetUrl,
+        visitCount: link.visitCount,
+        createdAt: link.createdAt,
+        title: link.title,
+        notes: link.notes,
+        tags: link.tags,
+        expiresAt: link.expiresAt,
+        maxVisits: link.maxVisits,
+        remainingVisits: link.remainingVisits,
+        isExpired: link.isExpired,
+        isProtected: link.isProtected,
+        rules: (link.rules || []).map(rule => ({
+            field: rule.field,
+            operator: rule.operator,
+            value: rule.value,
+            targetUrl: rule.targetUrl
+        })),
+        variants: (link.variants || []).map(variant => ({
+            name: variant.name,
+            targetUrl: variant.targetUrl,
+            weight: variant.weight
+        })),
+        stickyVariants: link.stickyVariants,
+        schedule: (link.schedule || []).map(entry => ({
+            name: entry.name,
+            startsAt: entry.startsAt ? new Date(entry.startsAt).toISOString() : null,
+            endsAt: entry.endsAt ? new Date(entry.endsAt).toISOString() : null,
+            targetUrl: entry.targetUrl
+        })),
+        scheduleTimezone: link.scheduleTimezone || 'UTC',
+        activeScheduleEntry: activeScheduleEntry(link)?.name || null,
+        alwaysPreview: link.alwaysPreview,
+        deepLinks: Object.fromEntries(Object.keys(DEEP_LINK_FIELDS).map(field => [field, link.deepLinks?.[field] || null])),
+        utm: link.utm,
+        forwardQuery: link.forwardQuery,
+        queryPrecedence: link.queryPrecedence,
+        preview: {
+            title: link.preview?.title || null,
+            description: link.preview?.description || null,
+            image: link.preview?.image || null
+        },
+        health: link.health,
+        owner: link.owner,
+        updatedBy: link.updatedBy,
+        updatedAt: link.updatedAt,
+        shortUrl: shortUrlFor(link)
+    };
+}
+
+// QR codes for a link's short URL, rendered on the server for print and API use
+const QR_FORMATS = ['svg', 'png'];
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H']; // Q and H survive a centre logo
+const QR_SIZE_RANGE = [64, 2048]; // Width in pixels
+const QR_MAX_MARGIN = 16; // Quiet zone in modules
+const QR_LOGO_SCALE = 0.22; // Share of the code's width covered by a logo
+const QR_SOURCE = 'qr'; // ?src= marker that attributes a visit to a QR scan
+const HEX_COLOUR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const QR_LOGO_PATTERN = /^[\w-]+(\.[\w-]+)*\.svg$/i; // An SVG file in public/
+
+// Parse format/size/margin/ecc/fg/bg/logo/track/download for the QR endpoints
+function parseQrOptions(query) {
+    const format = String(query.format || 'svg').toLowerCase();
+    if (!QR_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${QR_FORMATS.join(', ')}.` };
+    }
+
+    const size = query.size === undefined ? 512 : Number(query.size);
+    if (!Number.isInteger(size) || size < QR_SIZE_RANGE[0] || size > QR_SIZE_RANGE[1]) {
+        return { error: `size must be a whole number of pixels from ${QR_SIZE_RANGE[0]} to ${QR_SIZE_RANGE[1]}.` };
+    }
+
+    const margin = query.margin === undefined ? 4 : Number(query.margin);
+    if (!Number.isInteger(margin) || margin < 0 || margin > QR_MAX_MARGIN) {
+        return { error: `margin must be a whole number of modules from 0 to ${QR_MAX_MARGIN}.` };
+    }
+
+    const colours = {};
+    for (const [name, fallback] of [['fg', '000000'], ['bg', 'ffffff']]) {
+        const match = HEX_COLOUR_PATTERN.exec(String(query[name] ?? fallback));
+        if (!match) {
+            return { error: `${name} must be a hex colour such as ${fallback} (append two digits for transparency).` };
+        }
+        colours[name] = `#${match[1].toLowerCase()}`;
+    }
+
+    let logo = null;
+    if (query.logo) {
+        logo = String(query.logo);
+        if (!QR_LOGO_PATTERN.test(logo)) {
+            return { error: 'logo must be the name of an SVG file in public/, e.g. dhivijit.svg.' };
+        }
+        if (format !== 'svg') {
+            return { error: 'A logo can only be added to SVG QR codes.' };
+        }
+    }
+
+    const ecc = String(query.ecc || (logo ? 'H' : 'M')).toUpperCase();
+    if (!QR_ERROR_LEVELS.includes(ecc)) {
+        return { error: `ecc must be one of: ${QR_ERROR_LEVELS.join(', ')}.` };
+    }
+    if (logo && ecc !== 'Q' && ecc !== 'H') {
+        return { error: 'A QR code with a logo needs error correction Q or H.' };
+    }
+
+    return {
+        format,
+        size,
+        margin,
+        ecc,
+        ...colours,
+        logo,
+        track: query.track === 'true',
+        download: query.download === 'true'
+    };
+}
+
+// Render the QR code of a link. Returns { contentType, body } or { error } for a missing logo file.
+async function renderQrCode(link, options) {
+    const text = options.track ? `${shortUrlFor(link)}?src=${QR_SOURCE}` : shortUrlFor(link);
+    const qrOptions = {
+        width: options.size,
+        margin: options.margin,
+        errorCorrectionLevel: options.ecc,
+        color: { dark: options.fg, light: options.bg }
+    };
+
+    if (options.format === 'png') {
+        return { contentType: 'image/png', body: await QRCode.toBuffer(text, { ...qrOptions, type: 'png' }) };
+    }
+
+    let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+    if (options.logo) {
+        let logo;
+        try {
+            logo = await fs.promises.readFile(path.join(__dirname, 'public', options.logo));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { error: `Logo "${options.logo}" was not found in public/.` };
+            throw error;
+        }
+
+        // Centre the logo on a plain patch of the background colour, measured in modules
+        const total = Number(/viewBox="0 0 (\d+)/.exec(svg)[1]);
+        const box = Math.round((total - 2 * options.margin) * QR_LOGO_SCALE);
+        const offset = (total - box) / 2;
+        const image = `<rect x="${offset - 0.5}" y="${offset - 0.5}" width="${box + 1}" height="${box + 1}" fill="${options.bg}"/>` +
+            `<image x="${offset}" y="${offset}" width="${box}" height="${box}" preserveAspectRatio="xMidYMid meet" ` +
+            `href="data:image/svg+xml;base64,${logo.toString('base64')}"/>`;
+        svg = svg.replace('</svg>', `${image}</svg>`);
+    }
+    return { contentType: 'image/svg+xml', body: svg };
+}
+
+function sendQrCode(res, link, qr, options) {
+    const name = link.domain ? `${link.domain}-${link.shortened}` : link.shortened;
+    res.setHeader('Content-Type', qr.contentType);
+    res.setHeader('Content-Disposition', `${options.download ? 'attachment' : 'inline'}; filename="${name}-qr.${options.format}"`);
+    res.send(qr.body);
+}
+
+// Validate a webhook subscription from the admin form
+function parseWebhookOptions(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'A name is required.' };
+    }
+
+    const type = body.type || 'webhook';
+    if (!WEBHOOK_TYPES.includes(type)) {
+        return { error: `Type must be one of: ${WEBHOOK_TYPES.join(', ')}.` };
+    }
+
+    let url;
+    try {
+        url = new URL(typeof body.url === 'string' ? body.url.trim() : '');
+    } catch (error) {
+        return { error: 'The URL is not valid.' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'The URL must start with http:// or https://.' };
+    }
+
+    const events = [].concat(body.events || []);
+    if (events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        return { error: `Choose at least one event from: ${WEBHOOK_EVENTS.join(', ')}.` };
+    }
+
+    const shortCodes = String(body.shortCodes || '').split(',').map(code => code.trim()).filter(Boolean);
+
+    let sampleRate = 1;
+    if (body.samplePercent !== undefined && body.samplePercent !== '') {
+        const percent = Number(body.samplePercent);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+            return { error: 'The sample rate must be between 0 and 100 percent.' };
+        }
+        sampleRate = percent / 100;
+    }
+
+    return {
+        options: {
+            name,
+            type,
+            url: url.toString(),
+            events: [...new Set(events)],
+            shortCodes: [...new Set(shortCodes)],
+            sampleRate,
+            includeBots: body.excludeBots !== 'on'
+        }
+    };
+}
+
+// Link fields included in webhook payloads
+function webhookLinkSummary(link) {
+    return {
+        shortened: link.shortened,
+        domain: link.domain || null,
+        targetUrl: link.targetUrl,
+        title: link.title ?? null,
+        tags: link.tags || [],
+        owner: link.owner ?? null,
+        visitCount: link.visitCount || 0,
+        expiresAt: link.expiresAt ?? null,
+        maxVisits: link.maxVisits ?? null,
+        health: link.health?.state ? {
+            state: link.health.state,
+            statusCode: link.health.statusCode,
+            finalUrl: link.health.finalUrl,
+            error: link.health.error,
+            checkedAt: link.health.checkedAt,
+            lastSuccessAt: link.health.lastSuccessAt
+        } : null,
+        shortUrl: shortUrlFor(link)
+    };
+}
+
+// Queue an event for every matching subscription and try to deliver it straight away.
+// Never throws - webhook problems must not break the request that caused the event.
+async function emitLinkEvent(event, link, { visit = null, actor = null } = {}) {
+    try {
+        const webhooks = await storage.webhooks.subscribedTo(event, link.shortened);
+        await sendDeliveries(createDeliveries(webhooks, event, { link: webhookLinkSummary(link), visit, actor }));
+    } catch (error) {
+        logger.warn({ err: error, event, shortCode: link.shortened }, 'Failed to queue webhook event');
+    }
+}
+
+// link.clicked events are stored with the rest of their click batch: one subscriber lookup per
+// link and one write for all deliveries
+async function emitClickEvents(events) {
+    try {
+        const subscribers = new Map(); // shortened -> webhooks
+        const deliveries = [];
+        for (const { shortened, ...event } of events) {
+            if (!subscribers.has(shortened)) {
+                subscribers.set(shortened, await storage.webhooks.subscribedTo('link.clicked', shortened));
+            }
+            deliveries.push(...createDeliveries(subscribers.get(shortened), 'link.clicked', event));
+        }
+        await sendDeliveries(deliveries);
+    } catch (error) {
+        logger.warn({ err: error, clicks: events.length }, 'Failed to queue link.clicked events');
+    }
+}
+
+// One delivery per subscribed webhook. Clicks skip webhooks that leave out bots, and are sampled.
+function createDeliveries(webhooks, event, { link, visit = null, actor = null, createdAt = new Date() }) {
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        if (event === 'link.clicked') {
+            if (!webhook.includeBots && visit?.isBot) continue;
+            if (Math.random() >= webhook.sampleRate) continue;
+        }
+
+        const delivery = new WebhookDelivery({ webhook: webhook._id, event, shortened: link.shortened });
+        delivery.payload = {
+            id: delivery.id,
+            event,
+            createdAt: createdAt.toISOString(),
+            actor,
+            link,
+            visit: visit ? flattenVisit(visit) : null
+        };
+        deliveries.push({ delivery, webhook });
+    }
+    return deliveries;
+}
+
+async function sendDeliveries(deliveries) {
+    if (deliveries.length === 0) return;
+    await storage.deliveries.add(deliveries.map(({ delivery }) => delivery));
+    deliveries.forEach(({ delivery, webhook }) => deliverWebhook(delivery, webhook));
+}
+
+// Human readable ntfy message for an event
+function ntfyMessage(payload) {
+    const { link, visit } = payload;
+    switch (payload.event) {
+    case 'link.clicked':
+        return `A click has been detected on your link shortener for the link: ${link.targetUrl}` +
+            (visit?.country ? ` (${visit.city ? visit.city + ', ' : ''}${visit.country})` : '');
+    case 'link.created':
+        return `Short link ${link.shortened} was created for ${link.targetUrl}`;
+    case 'link.updated':
+        return `Short link ${link.shortened} was updated and now points to ${link.targetUrl}`;
+    case 'link.deleted':
+        return `Short link ${link.shortened} was deleted`;
+    case 'link.expired':
+        return `Short link ${link.shortened} has expired`;
+    case 'link.unhealthy':
+        return `Short link ${link.shortened} points to a failing page (${link.health?.error || 'unknown error'}): ${link.targetUrl}`;
+    default:
+        return `Event ${payload.event} for ${link.shortened}`;
+    }
+}
+
+// Build the HTTP request for a delivery - signed JSON for webhooks, a plain text message for ntfy
+function buildWebhookRequest(webhook, payload) {
+    if (webhook.type === 'ntfy') {
+        return {
+            body: ntfyMessage(payload),
+            headers: {
+                'Title': payload.event === 'link.clicked' ? 'Click Detected' : `Link ${payload.event.split('.')[1]}`,
+                'Actions': `view, Open Tracking, https://${DOMAIN_URL}${trackingPath(payload.link)}`
+            }
+        };
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'LinkShortner-Webhook/1.0',
+            'X-Webhook-Id': payload.id,
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signature}`
+        }
+    };
+}
+
+const WEBHOOK_RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+
+// Attempt one delivery; failures are rescheduled with backoff until the retries run out
+async function deliverWebhook(delivery, webhook) {
+    try {
+        webhook = webhook || await storage.webhooks.get(delivery.webhook);
+        if (!webhook) {
+            delivery.status = 'failed';
+            delivery.lastError = 'Webhook was deleted';
+            return await storage.deliveries.save(delivery);
+        }
+
+        const request = buildWebhookRequest(webhook, delivery.payload);
+        delivery.attempts += 1;
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                body: request.body,
+                headers: request.headers,
+                signal: AbortSignal.timeout(10000)
+            });
+            delivery.responseStatus = response.status;
+            if (!response.ok) throw new Error(`Receiver responded with HTTP ${response.status}`);
+
+            delivery.status = 'succeeded';
+            delivery.deliveredAt = new Date();
+            delivery.lastError = null;
+        } catch (error) {
+            delivery.lastError = error.message;
+            const delay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts - 1];
+            if (delay === undefined) {
+                delivery.status = 'failed';
+            } else {
+                delivery.status = 'pending';
+                delivery.nextAttemptAt = new Date(Date.now() + delay);
+            }
+        }
+        await storage.deliveries.save(delivery);
+    } catch (error) {
+        logger.warn({ err: error, delivery: delivery.id }, 'Failed to record webhook delivery');
+    }
+}
+
+// Send link.expired once per link (re-armed when its expiry settings change)
+async function notifyLinkExpired(link) {
+    try {
+        const claimed = await storage.links.claimExpiryNotice(link._id);
+        if (claimed) await emitLinkEvent('link.expired', claimed);
+    } catch (error) {
+        logger.warn({ err: error, shortCode: link.shortened }, 'Failed to send link.expired event');
+    }
+}
+
+// Background work: retry due deliveries and announce links whose expiry date has passed
+const WEBHOOK_WORKER_INTERVAL_MS = 30 * 1000;
+
+async function processWebhookQueue() {
+    const now = new Date();
+    for (let i = 0; i < 20; i++) {
+        // Claim one due delivery at a time so concurrent instances never send it twice
+        const delivery = await storage.deliveries.claimDue(now, new Date(Date.now() + 5 * 60 * 1000));
+        if (!delivery) break;
+        await deliverWebhook(delivery);
+    }
+
+    const expired = await storage.links.expiredUnnotified(now, 50);
+    for (const link of expired) {
+        await notifyLinkExpired(link);
+    }
+}
+
+// Turn the NTFY_TOPIC setting into a built-in ntfy webhook the first time it is seen
+async function ensureNtfyWebhook() {
+    if (!NTFY_TOPIC) return;
+    const url = `https://ntfy.sh/${NTFY_TOPIC}`;
+    const webhooks = await storage.webhooks.list();
+    if (!webhooks.some(webhook => webhook.type === 'ntfy' && webhook.url === url)) {
+        await storage.webhooks.create({
+            name: 'ntfy (NTFY_TOPIC)',
+            type: 'ntfy',
+            url,
+            secret: crypto.randomBytes(32).toString('hex'),
+            events: ['link.clicked'],
+            createdBy: SUPERADMIN_USERNAME
+        });
+        logger.info({ url }, 'Created ntfy webhook from NTFY_TOPIC');
+    }
+}
+
+// Link health: request each destination periodically and remember how it answered
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+const HEALTH_CHECK_MAX_REDIRECTS = 10;
+const HEALTH_WORKER_INTERVAL_MS = 60 * 1000;
+const HEALTH_CHECK_BATCH_SIZE = 10;
+const HEALTH_SEVERITY = { healthy: 0, redirected: 1, failing: 2 };
+
+// Health checks run from inside the deployment, so they must never reach loopback, private,
+// link-local or other non-public addresses (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Errors that make a HEAD -> GET retry pointless
+function blockedRequestError(message) {
+    const error = new Error(message);
+    error.blocked = true;
+    return error;
+}
+
+function isBlockedAddress(address, family) {
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for health check requests that fails when a host resolves to a non-public address.
+// The socket connects to the address checked here, so a second DNS answer (DNS rebinding) cannot
+// send the request somewhere else.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address, family }) => isBlockedAddress(address, family));
+        if (blocked) {
+            return callback(blockedRequestError(`Blocked: ${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// One request without following redirects, over a fresh connection made through publicLookup.
+// Resolves with the status and Location header; the body is never read.
+function requestPublicUrl(url, method, signal) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host, net.isIP(host))) {
+        return Promise.reject(blockedRequestError(`Blocked: ${host} is a non-public address`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method,
+            headers: { 'User-Agent': 'LinkShortner-HealthCheck/1.0' },
+            agent: false,
+            lookup: publicLookup,
+            signal
+        }, response => {
+            resolve({ status: response.statusCode, location: response.headers.location });
+            response.destroy(); // Only the status matters
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+// Follow redirects by hand so every hop goes through requestPublicUrl's address checks
+async function fetchPublicUrl(url, method, signal) {
+    let currentUrl = url;
+    for (let redirects = 0; ; redirects++) {
+        const parsed = new URL(currentUrl);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw blockedRequestError(`Cannot check ${parsed.protocol} URLs`);
+        }
+
+        const { status, location } = await requestPublicUrl(parsed, method, signal);
+        if (status < 300 || status >= 400 || !location) {
+            return { status, finalUrl: currentUrl, redirected: redirects > 0 };
+        }
+
+        if (redirects === HEALTH_CHECK_MAX_REDIRECTS) {
+            throw blockedRequestError(`More than ${HEALTH_CHECK_MAX_REDIRECTS} redirects`);
+        }
+        currentUrl = new URL(location, currentUrl).href;
+    }
+}
+
+function describeFetchError(error) {
+    if (error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError') return `Timed out after ${HEALTH_CHECK_TIMEOUT_MS / 1000}s`;
+    return error.cause?.code || error.cause?.message || error.code || error.message;
+}
+
+// Request a URL with HEAD, falling back to GET for servers that refuse or mishandle HEAD
+async function runHealthCheck(targetUrl) {
+    let attempt;
+    for (const method of ['HEAD', 'GET']) {
+        const startedAt = Date.now();
+        try {
+            const { status, finalUrl, redirected } = await fetchPublicUrl(targetUrl, method, AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS));
+            attempt = {
+                method,
+                statusCode: status,
+                finalUrl,
+                redirected,
+                latencyMs: Date.now() - startedAt,
+                error: status >= 200 && status < 300 ? null : `HTTP ${status}`
+            };
+        } catch (error) {
+            attempt = {
+                method,
+                statusCode: null,
+                finalUrl: null,
+                redirected: false,
+                latencyMs: Date.now() - startedAt,
+                error: describeFetchError(error)
+            };
+            if (error.blocked) break;
+        }
+        if (!attempt.error) break;
+    }
+
+    const { redirected, ...result } = attempt;
+    let state = 'healthy';
+    if (result.error) state = 'failing';
+    else if (redirected && result.finalUrl !== targetUrl) state = 'redirected';
+    return { state, ...result };
+}
+
+// Every web destination a visit can currently be sent to, each URL once. App scheme deep links
+// cannot be requested and schedule entries that have ended are never used again.
+function healthCheckDestinations(link, now) {
+    const destinations = [{ source: 'target', url: link.targetUrl }];
+    (link.rules || []).forEach((rule, index) => destinations.push({ source: `rule ${index + 1}`, url: rule.targetUrl }));
+    for (const variant of link.variants || []) {
+        destinations.push({ source: `variant ${variant.name}`, url: variant.targetUrl });
+    }
+    for (const entry of link.schedule || []) {
+        if (!entry.endsAt || entry.endsAt > now) destinations.push({ source: `schedule ${entry.name}`, url: entry.targetUrl });
+    }
+    for (const field of Object.keys(DEEP_LINK_FIELDS)) {
+        const url = link.deepLinks?.[field];
+        if (url && /^https?:/i.test(url)) destinations.push({ source: `deepLinks.${field}`, url });
+    }
+
+    const seen = new Set();
+    return destinations.filter(({ url }) => !seen.has(url) && seen.add(url));
+}
+
+// Check all of a link's destinations now and store the result. Sends link.unhealthy when a link
+// that passed its previous check starts failing.
+async function checkLinkHealth(link) {
+    const previous = link.health || {};
+    const destinations = healthCheckDestinations(link, new Date());
+    const results = await Promise.all(destinations.map(destination => runHealthCheck(destination.url)));
+    const now = new Date();
+
+    // The worst destination describes the link; on a tie the target (listed first) wins
+    const result = results.reduce((worst, next) => HEALTH_SEVERITY[next.state] > HEALTH_SEVERITY[worst.state] ? next : worst);
+    const failing = result.state === 'failing';
+
+    const health = {
+        ...result,
+        destinations: destinations.map((destination, index) => ({
+            ...destination,
+            state: results[index].state,
+            statusCode: results[index].statusCode,
+            finalUrl: results[index].finalUrl,
+            error: results[index].error
+        })),
+        checkedUrl: link.targetUrl,
+        checkedAt: now,
+        lastSuccessAt: failing ? previous.lastSuccessAt ?? null : now,
+        consecutiveFailures: failing ? (previous.consecutiveFailures || 0) + 1 : 0
+    };
+    const updated = await storage.links.setHealth(link._id, health);
+
+    const wasHealthy = previous.state && previous.state !== 'failing' && previous.checkedUrl === link.targetUrl;
+    if (updated && failing && wasHealthy) {
+        emitLinkEvent('link.unhealthy', updated);
+    }
+    return updated ? updated.health : health;
+}
+
+// Background work: check links that were never checked, whose target changed,
+// or whose last check is older than HEALTH_CHECK_INTERVAL_MINUTES
+async function processHealthChecks() {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - HEALTH_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    const due = await storage.links.dueForHealthCheck({ checkedBefore: cutoff, now, limit: HEALTH_CHECK_BATCH_SIZE });
+
+    for (const link of due) {
+        // Claim the link so concurrent instances do not check it at the same time
+        const claimed = await storage.links.claimHealthCheck(link._id, link.health?.checkedAt);
+        if (!claimed) continue;
+        await checkLinkHealth(claimed);
+    }
+}
+
+// --- Middleware ---
+// Require a signed-in user with at least the given role.
+// Accounts are re-read on every request so role changes and deletions apply immediately.
+function authenticateAdmin(role = 'viewer') {
+    return async (req, res, next) => {
+        const sessionUser = req.session.user;
+        if (!sessionUser) {
+            // Capture the original URL and pass it as redirect parameter
+            const redirectUrl = encodeURIComponent(req.originalUrl);
+            return res.redirect(`/admin/login?redirect=${redirectUrl}`);
+        }
+
+        try {
+            if (sessionUser.id) {
+                const user = await storage.users.get(sessionUser.id);
+                if (!user) {
+                    return req.session.destroy(() => res.redirect('/admin/login'));
+                }
+                sessionUser.role = user.role;
+            }
+
+            if (!hasRole(sessionUser, role)) {
+                return res.status(403).send('Your role does not allow this action.');
+            }
+            res.locals.user = sessionUser;
+            next();
+        } catch (error) {
+            console.error('Error checking user session:', error);
+            res.status(500).send('Error checking your session.');
+        }
+    };
+}
+
+// Stop editors from changing links owned by someone else.
+// Missing links pass through so the route can answer with its own 404.
+async function authorizeLinkChange(req, res, next) {
+    const key = requestLinkKey(req);
+    if (!key.shortened) return next();
+
+    try {
+        const link = await storage.links.get(key);
+        if (link && !canManageLink(req.session.user, link)) {
+            return res.status(403).send('You can only change links you own.');
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking link ownership:', error);
+        res.status(500).send('Error checking link permissions.');
+    }
+}
+
+// Name recorded against changes made from the dashboard
+function sessionActor(req) {
+    return req.session.user.username;
+}
+
+// Look up the API key on the request (if any) so apiLimiter can apply its quota.
+// Keys are read from the database on every request, so revocation takes effect immediately.
+async function resolveApiKey(req, res, next) {
+    const key = readApiKey(req);
+    if (!key) return next();
+
+    try {
+        if (API_KEY && key === API_KEY) {
+            req.apiKey = { id: 'env', name: 'API_KEY', scopes: API_KEY_SCOPES, rateLimit: null, owner: SUPERADMIN_USERNAME };
+            return next();
+        }
+
+        const apiKey = await storage.apiKeys.findByHash(hashApiKey(key));
+        if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+            return next();
+        }
+
+        req.apiKey = {
+            id: apiKey.id,
+            name: apiKey.name,
+            scopes: apiKey.scopes,
+            rateLimit: apiKey.rateLimit,
+            owner: apiKey.createdBy
+        };
+        storage.apiKeys.touch(apiKey._id)
+            .catch(error => logger.warn({ err: error }, 'Failed to update API key last-used time'));
+        next();
+    } catch (error) {
+        console.error('API Key Lookup Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error checking API key'
+        });
+    }
+}
+
+// Require a valid API key with the given scope
+function authenticateAPI(scope) {
+    return (req, res, next) => {
+        if (!req.headers.authorization) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Missing Authorization header'
+            });
+        }
+
+        if (!req.apiKey) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid, expired or revoked API key'
+            });
+        }
+
+        if (!apiKeyHasScope(req.apiKey, scope)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This API key does not have the "${scope}" scope`
+            });
+        }
+
+        next();
+    };
+}
+
+// Name recorded against changes made through the API
+function apiActor(req) {
+    return `api key: ${req.apiKey.name}`;
+}
+
+// Owner of links created through the API - the user who created the key
+function apiOwner(req) {
+    return req.apiKey.owner || SUPERADMIN_USERNAME;
+}
+
+// --- Routes ---
+app.get('/admin/login', (req, res) => {
+    if (req.session?.user) {
+        // If already logged in, redirect to intended page or admin dashboard
+        const redirectTo = req.query.redirect || '/admin';
+        return res.redirect(redirectTo);
+    }
+    res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+app.get('/', async (req, res) => {
+    try {
+        const site = await domainForHost(req);
+        if (site?.rootUrl) return res.redirect(site.rootUrl);
+    } catch (error) {
+        console.error('Error loading domain settings:', error);
+    }
+    res.send(`
+        <!doctype html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>Internal Link Shortener</title>
+            <link rel="icon" type="image/svg+xml" href="/dhivijit.svg">
+            <style>
+                body { font-family: Arial, sans-serif; background:#f7f7f7; color:#222; display:flex; align-items:center; justify-content:center; height:100vh; margin:0 }
+                .card { background:white; padding:24px; border-radius:8px; box-shadow:0 6px 18px rgba(0,0,0,0.08); max-width:520px; text-align:center }
+                a.button { display:inline-block; margin-top:12px; padding:8px 14px; background:#0070f3; color:white; text-decoration:none; border-radius:6px }
+            </style>
+        </head>
+        <body>
+            <div class="card">
+                <h1>Personal Link Shortening Service</h1>
+                <p>This site is my personal link shortening service.</p>
+                <p>Get your own from my <a href="https://github.com/dhivijit/LinkShortner">GitHub repository</a>.</p>
+                <a class="button" href="/admin/login">Admin Login</a>
+            </div>
+        </body>
+        </html>
+    `);
+});
+
+app.post('/admin/login', authLimiter, async (req, res) => {
+    const { password, redirect } = req.body;
+    const username = typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+    // Redirect to the originally requested page or admin dashboard
+    const redirectTo = redirect || '/admin';
+
+    try {
+        // A blank username (or "superadmin") with ADMIN_PASSWORD signs in as the bootstrap superadmin
+        if ((!username || username === SUPERADMIN_USERNAME) && ADMIN_PASSWORD && password === ADMIN_PASSWORD) {
+            req.session.user = { id: null, username: SUPERADMIN_USERNAME, role: 'admin' };
+            return res.redirect(redirectTo);
+        }
+
+        const user = username ? await storage.users.findByUsername(username) : null;
+        if (user && verifyPassword(password, user.passwordHash)) {
+            await storage.users.update(user._id, { lastLoginAt: new Date() });
+            req.session.user = { id: user.id, username: user.username, role: user.role };
+            return res.redirect(redirectTo);
+        }
+        res.send('Invalid username or password.');
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).send('Error signing in.');
+    }
+});
+
+app.get('/admin', authenticateAdmin('viewer'), async (req, res) => {
+    const linkFilter = req.query.links === 'mine' ? 'mine' : 'all';
+    const { owner, ...params } = req.query;
+    const query = parseLinkQuery({ ...params, owner: linkFilter === 'mine' ? req.session.user.username : undefined });
+    if (query.error) {
+        return res.status(400).send(query.error);
+    }
+
+    try {
+        const { links, totals, nextCursor } = await listLinks(query);
+        const [tags, domains] = await Promise.all([
+            storage.links.tags(),
+            storage.domains.list()
+        ]);
+        res.render('admin', {
+            links,
+            totals,
+            nextCursor,
+            linkFilter,
+            listQuery: {
+                q: req.query.q || '',
+                tag: req.query.tag || '',
+                health: req.query.health || '',
+                domain: req.query.domain || '',
+                createdFrom: req.query.createdFrom || '',
+                createdTo: req.query.createdTo || '',
+                sort: query.sort,
+                order: query.order,
+                cursor: req.query.cursor || ''
+            },
+            sortFields: LINK_SORT_FIELDS,
+            tags: tags.sort(),
+            domains,
+            defaultDomain: DOMAIN_HOSTNAME
+        });
+    } catch (error) {
+        console.error('Error loading links:', error);
+        res.status(500).send('Error loading links.');
+    }
+});
+
+app.get('/admin/track/:shortCode', authenticateAdmin('viewer'), async (req, res) => {
+    try {
+        const shortCode = req.params.shortCode;
+        const key = requestLinkKey(req);
+
+        // Fetch link details
+        const link = await storage.links.get(key);
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        // Fetch one page of visits, newest first, plus the pre-aggregated counters
+        const pageSize = 50;
+        const counters = await getVisitCounters(key);
+        const totalPages = Math.max(Math.ceil(counters.total / pageSize), 1);
+        const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+        const visits = await storage.visits.page(key, { skip: (page - 1) * pageSize, limit: pageSize });
+
+        // Clicks per A/B variant
+        const variantStats = {};
+        if (link.variants.length > 0) {
+            const groups = await storage.visits.countBy(key, ['variant']);
+            groups.forEach(group => {
+                variantStats[group.variant] = { clicks: group.clicks, humans: group.humans };
+            });
+        }
+
+        // Clicks per schedule entry
+        const scheduleStats = {};
+        if (link.schedule.length > 0) {
+            const groups = await storage.visits.countBy(key, ['scheduleEntry']);
+            groups.forEach(group => {
+                scheduleStats[group.scheduleEntry] = { clicks: group.clicks, humans: group.humans };
+            });
+        }
+
+        // Visits per deep link path (app, store, web)
+        const deepLinkStats = {};
+        if (hasDeepLinks(link)) {
+            const groups = await storage.visits.countBy(key, ['deepLinkPath', 'platform']);
+            groups.forEach(group => {
+                const stats = deepLinkStats[group.deepLinkPath] || (deepLinkStats[group.deepLinkPath] = { clicks: 0, platforms: {} });
+                stats.clicks += group.clicks;
+                stats.platforms[group.platform || 'desktop'] = group.clicks;
+            });
+        }
+
+        const history = await storage.history.list(key);
+
+        res.render('tracking', {
+            link: link,
+            visits: visits,
+            counters: counters,
+            pagination: { page, pageSize, totalPages },
+            variantStats: variantStats,
+            scheduleStats: scheduleStats,
+            activeScheduleEntry: activeScheduleEntry(link)?.name || null,
+            deepLinkStats: deepLinkStats,
+            history: history,
+            previewUrl: `${shortUrlFor(link)}+`,
+            shortCode: shortCode,
+            // Form actions are trackPath + "/rules" etc. followed by domainQuery
+            trackPath: `/admin/track/${encodeURIComponent(shortCode)}`,
+            domainQuery: key.domain ? `?domain=${encodeURIComponent(key.domain)}` : '',
+            ruleFields: RULE_FIELDS,
+            ruleOperators: RULE_OPERATORS,
+            canEdit: canManageLink(req.session.user, link)
+        });
+    } catch (error) {
+        console.error('Error fetching tracking data:', error);
+        res.status(500).send('Error loading tracking data');
+    }
+});
+
+// Create a link. Existing short codes are never overwritten - they are changed with the edit form on
+// their tracking page, which starts from the stored values (see /admin/track/:shortCode/edit)
+app.post('/admin/create', authenticateAdmin('editor'), async (req, res) => {
+    let { shortened, targetUrl } = req.body;
+    const code = validateShortCode(shortened);
+    if (code.error) {
+        return res.status(400).send(code.error);
+    }
+    if (!shortened) shortened = generateRandomString();
+
+    const target = normalizeTargetUrl(targetUrl, 'Target URL');
+    if (target.error) {
+        return res.status(400).send(target.error);
+    }
+    targetUrl = target.url;
+
+    const expiry = parseExpiryOptions(req.body);
+    if (expiry.error) {
+        return res.status(400).send(expiry.error);
+    }
+    const access = parseAccessPassword(req.body);
+    if (access.error) {
+        return res.status(400).send(access.error);
+    }
+    const metadata = parseLinkMetadata(req.body);
+    if (metadata.error) {
+        return res.status(400).send(metadata.error);
+    }
+    // The form always posts the UTM fields; an unticked checkbox is simply missing
+    const queryOptions = parseQueryOptions({ ...req.body, forwardQuery: req.body.forwardQuery || 'off' });
+    if (queryOptions.error) {
+        return res.status(400).send(queryOptions.error);
+    }
+    const previewOptions = parsePreviewOptions(req.body);
+    if (previewOptions.error) {
+        return res.status(400).send(previewOptions.error);
+    }
+    // The form always posts its schedule rows - empty rows are dropped, so clearing every row removes the schedule
+    const scheduleOptions = parseScheduleOptions({
+        scheduleTimezone: req.body.scheduleTimezone,
+        schedule: (Array.isArray(req.body.schedule) ? req.body.schedule : [])
+            .filter(entry => entry && Object.values(entry).some(value => typeof value === 'string' && value.trim()))
+    });
+    if (scheduleOptions.error) {
+        return res.status(400).send(scheduleOptions.error);
+    }
+
+    try {
+        const site = await resolveLinkDomain(req.body.domain);
+        if (site.error) {
+            return res.status(400).send(site.error);
+        }
+        const key = linkKey({ domain: site.domain, shortened });
+
+        const chain = await checkRedirectChain(key, [targetUrl, ...scheduleOptions.options.schedule.map(entry => entry.targetUrl)], 'Target URL');
+        if (chain.error) {
+            return res.status(400).send(chain.error);
+        }
+
+        const saved = await storage.links.create(key, {
+            targetUrl,
+            ...expiry.options,
+            ...access.options,
+            ...metadata.options,
+            ...queryOptions.options,
+            ...previewOptions.options,
+            ...scheduleOptions.options,
+            alwaysPreview: req.body.alwaysPreview === 'on',
+            owner: req.session.user.username,
+            updatedBy: sessionActor(req),
+            updatedAt: new Date()
+        });
+
+        await recordTargetChange({
+            ...key,
+            newTargetUrl: targetUrl,
+            source: 'admin',
+            actor: sessionActor(req)
+        });
+        emitLinkEvent('link.created', saved, { actor: sessionActor(req) });
+        res.redirect('/admin');
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).send(`The short code "${shortened}" is already taken. To change that link, use Edit on its tracking page.`);
+        }
+        console.error('Error creating link:', error);
+        res.status(500).send('Error creating link.');
+    }
+});
+
+app.post('/admin/delete', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.remove(requestLinkKey(req));
+        if (link) emitLinkEvent('link.deleted', link, { actor: sessionActor(req) });
+        res.redirect('/admin');
+    } catch (error) {
+        res.status(500).send('Error deleting link.');
+    }
+});
+
+app.get('/admin/track/:shortCode/export', authenticateAdmin('viewer'), async (req, res) => {
+    const query = parseExportQuery(req.query);
+    if (query.error) {
+        return res.status(400).send(query.error);
+    }
+
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+        await streamVisitExport(res, linkKey(link), query);
+    } catch (error) {
+        console.error('Error exporting visits:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send('Error exporting visits');
+    }
+});
+
+app.get('/admin/track/:shortCode/qr', authenticateAdmin('viewer'), async (req, res) => {
+    const options = parseQrOptions(req.query);
+    if (options.error) {
+        return res.status(400).send(options.error);
+    }
+
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const qr = await renderQrCode(link, options);
+        if (qr.error) {
+            return res.status(400).send(qr.error);
+        }
+        sendQrCode(res, link, qr, options);
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        res.status(500).send('Error generating QR code');
+    }
+});
+
+// Revert the target URL to the value set in an earlier history version
+app.post('/admin/track/:shortCode/history/:version/revert', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const key = requestLinkKey(req);
+        const entry = await storage.history.get(key, Number(req.params.version));
+        if (!entry) {
+            return res.status(404).send('History version not found');
+        }
+
+        // Older versions may predate target URL validation
+        const target = normalizeTargetUrl(entry.newTargetUrl, 'The target URL of this version');
+        const chain = target.error ? target : await checkRedirectChain(key, [target.url], 'The target URL of this version');
+        if (chain.error) {
+            return res.status(400).send(chain.error);
+        }
+
+        const updated = await storage.links.update(key, { targetUrl: target.url, updatedBy: sessionActor(req), updatedAt: new Date() });
+        if (!updated) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const { link, previous } = updated;
+
+        await recordTargetChange({
+            ...key,
+            oldTargetUrl: previous.targetUrl,
+            newTargetUrl: link.targetUrl,
+            source: 'admin',
+            actor: sessionActor(req),
+            note: `Reverted to version ${entry.version}`
+        });
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+
+        res.redirect(trackingPath(key));
+    } catch (error) {
+        console.error('Error reverting target URL:', error);
+        res.status(500).send('Error reverting target URL.');
+    }
+});
+
+// Check the link's target now (from the dashboard or tracking page)
+app.post('/admin/track/:shortCode/health-check', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        await checkLinkHealth(link);
+        // The dashboard sends its own URL so filters and paging survive the reload
+        const returnTo = typeof req.body.returnTo === 'string' && /^\/admin(\?|$)/.test(req.body.returnTo)
+            ? req.body.returnTo
+            : trackingPath(link);
+        res.redirect(returnTo);
+    } catch (error) {
+        console.error('Error checking link health:', error);
+        res.status(500).send('Error checking link health.');
+    }
+});
+
+// Routing rules management (from the tracking page)
+app.post('/admin/track/:shortCode/rules', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    const result = parseRoutingRule(req.body);
+    if (result.error) {
+        return res.status(400).send(`Invalid rule: ${result.error}`);
+    }
+
+    try {
+        const key = requestLinkKey(req);
+        const chain = await checkRedirectChain(key, [result.rule.targetUrl]);
+        if (chain.error) {
+            return res.status(400).send(`Invalid rule: ${chain.error}`);
+        }
+
+        const link = await storage.links.get(key);
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+        link.rules.push(result.rule);
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error adding routing rule:', error);
+        res.status(500).send('Error adding routing rule.');
+    }
+});
+
+app.post('/admin/track/:shortCode/rules/:index/delete', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= link.rules.length) {
+            return res.status(400).send('Routing rule not found.');
+        }
+
+        link.rules.splice(index, 1);
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error deleting routing rule:', error);
+        res.status(500).send('Error deleting routing rule.');
+    }
+});
+
+app.post('/admin/track/:shortCode/rules/:index/move', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const index = Number(req.params.index);
+        const swapWith = req.body.direction === 'up' ? index - 1 : index + 1;
+        if (!Number.isInteger(index) || index < 0 || index >= link.rules.length ||
+            swapWith < 0 || swapWith >= link.rules.length) {
+            return res.status(400).send('Routing rule cannot be moved in that direction.');
+        }
+
+        const rules = link.rules.map(rule => rule.toObject());
+        [rules[index], rules[swapWith]] = [rules[swapWith], rules[index]];
+        link.rules = rules;
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error reordering routing rules:', error);
+        res.status(500).send('Error reordering routing rules.');
+    }
+});
+
+// A/B variant management (from the tracking page)
+app.post('/admin/track/:shortCode/variants', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const variants = link.variants.map(variant => variant.toObject());
+        const rotation = parseVariants([...variants, req.body]);
+        if (rotation.error) {
+            return res.status(400).send(`Invalid variant: ${rotation.error}`);
+        }
+        const chain = await checkRedirectChain(linkKey(link), [rotation.variants[rotation.variants.length - 1].targetUrl]);
+        if (chain.error) {
+            return res.status(400).send(`Invalid variant: ${chain.error}`);
+        }
+
+        link.variants = rotation.variants;
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error adding variant:', error);
+        res.status(500).send('Error adding variant.');
+    }
+});
+
+app.post('/admin/track/:shortCode/variants/:index/delete', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= link.variants.length) {
+            return res.status(400).send('Variant not found.');
+        }
+
+        link.variants.splice(index, 1);
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error deleting variant:', error);
+        res.status(500).send('Error deleting variant.');
+    }
+});
+
+app.post('/admin/track/:shortCode/variants/sticky', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const updated = await storage.links.update(requestLinkKey(req), { stickyVariants: req.body.stickyVariants === 'on', updatedBy: sessionActor(req), updatedAt: new Date() });
+        if (!updated) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const { link } = updated;
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error updating variant stickiness:', error);
+        res.status(500).send('Error updating variant settings.');
+    }
+});
+
+// Schedule management (from the tracking page) - times are entered in the link's schedule time zone
+app.post('/admin/track/:shortCode/schedule', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const parsed = parseScheduleEntry(req.body, link.scheduleTimezone || 'UTC');
+        if (parsed.error) {
+            return res.status(400).send(`Invalid schedule entry: ${parsed.error}`);
+        }
+        if (parsed.entry.name && link.schedule.some(entry => entry.name === parsed.entry.name)) {
+            return res.status(400).send(`Invalid schedule entry: name "${parsed.entry.name}" is already used.`);
+        }
+        parsed.entry.name = parsed.entry.name || freeScheduleName(link.schedule);
+        const chain = await checkRedirectChain(linkKey(link), [parsed.entry.targetUrl]);
+        if (chain.error) {
+            return res.status(400).send(`Invalid schedule entry: ${chain.error}`);
+        }
+
+        link.schedule.push(parsed.entry);
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error adding schedule entry:', error);
+        res.status(500).send('Error adding schedule entry.');
+    }
+});
+
+app.post('/admin/track/:shortCode/schedule/:index/delete', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= link.schedule.length) {
+            return res.status(400).send('Schedule entry not found.');
+        }
+
+        link.schedule.splice(index, 1);
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error deleting schedule entry:', error);
+        res.status(500).send('Error deleting schedule entry.');
+    }
+});
+
+// Change the zone schedule times are shown and entered in - existing entries keep their instants
+app.post('/admin/track/:shortCode/schedule/timezone', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const timeZone = normalizeTimeZone(req.body.scheduleTimezone);
+        if (!timeZone) {
+            return res.status(400).send('Unknown time zone. Use an IANA name such as Europe/Berlin or UTC.');
+        }
+
+        const updated = await storage.links.update(requestLinkKey(req), { scheduleTimezone: timeZone });
+        if (!updated) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const { link } = updated;
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error updating schedule time zone:', error);
+        res.status(500).send('Error updating schedule time zone.');
+    }
+});
+
+// Replace the app deep links of a link (empty fields clear them)
+app.post('/admin/track/:shortCode/deep-links', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        const parsed = parseDeepLinks(req.body);
+        if (parsed.error) {
+            return res.status(400).send(`Invalid deep link: ${parsed.error}`);
+        }
+        const chain = await checkRedirectChain(linkKey(link), linkDestinations({ deepLinks: parsed.deepLinks }));
+        if (chain.error) {
+            return res.status(400).send(`Invalid deep link: ${chain.error}`);
+        }
+
+        link.deepLinks = parsed.deepLinks;
+        link.updatedBy = sessionActor(req);
+        link.updatedAt = new Date();
+        await storage.links.save(link);
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error updating deep links:', error);
+        res.status(500).send('Error updating deep links.');
+    }
+});
+
+// Edit a link's target, limits, labels, query string settings and preview card. The form is
+// prefilled with the stored values, so a blank field clears it. Schedule, rules, variants,
+// deep links and the preview page setting have their own forms on the tracking page.
+app.post('/admin/track/:shortCode/edit', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    const target = normalizeTargetUrl(req.body.targetUrl, 'Target URL');
+    if (target.error) {
+        return res.status(400).send(target.error);
+    }
+    const expiry = parseExpiryOptions(req.body);
+    if (expiry.error) {
+        return res.status(400).send(expiry.error);
+    }
+    const access = parseAccessPassword(req.body);
+    if (access.error) {
+        return res.status(400).send(access.error);
+    }
+    const metadata = parseLinkMetadata(req.body);
+    if (metadata.error) {
+        return res.status(400).send(metadata.error);
+    }
+    const queryOptions = parseQueryOptions({ ...req.body, forwardQuery: req.body.forwardQuery || 'off' });
+    if (queryOptions.error) {
+        return res.status(400).send(queryOptions.error);
+    }
+    const previewOptions = parsePreviewOptions(req.body);
+    if (previewOptions.error) {
+        return res.status(400).send(previewOptions.error);
+    }
+
+    try {
+        const key = requestLinkKey(req);
+        const link = await storage.links.get(key);
+        if (!link) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const chain = await checkRedirectChain(key, [target.url], 'Target URL');
+        if (chain.error) {
+            return res.status(400).send(chain.error);
+        }
+
+        // Saving the form with the limits unchanged must not re-arm the link.expired event
+        const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+        const limitsChanged = !sameTime(expiry.options.expiresAt, link.expiresAt) ||
+            (expiry.options.maxVisits ?? null) !== (link.maxVisits ?? null);
+
+        const result = await storage.links.update(key, {
+            targetUrl: target.url,
+            ...(limitsChanged ? expiry.options : {}),
+            ...access.options,
+            ...metadata.options,
+            ...queryOptions.options,
+            ...previewOptions.options,
+            updatedBy: sessionActor(req),
+            updatedAt: new Date()
+        });
+        if (!result) {
+            return res.status(404).send('Shortened link not found');
+        }
+
+        await recordTargetChange({
+            ...key,
+            oldTargetUrl: result.previous.targetUrl,
+            newTargetUrl: target.url,
+            source: 'admin',
+            actor: sessionActor(req)
+        });
+        emitLinkEvent('link.updated', result.link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(result.link));
+    } catch (error) {
+        console.error('Error updating link:', error);
+        res.status(500).send('Error updating link.');
+    }
+});
+
+app.post('/admin/track/:shortCode/always-preview', authenticateAdmin('editor'), authorizeLinkChange, async (req, res) => {
+    try {
+        const updated = await storage.links.update(requestLinkKey(req), { alwaysPreview: req.body.alwaysPreview === 'on' });
+        if (!updated) {
+            return res.status(404).send('Shortened link not found');
+        }
+        const { link } = updated;
+        emitLinkEvent('link.updated', link, { actor: sessionActor(req) });
+        res.redirect(trackingPath(link));
+    } catch (error) {
+        console.error('Error updating preview setting:', error);
+        res.status(500).send('Error updating preview setting.');
+    }
+});
+
+// Bulk import from the dashboard upload form (CSV text with a shortened,targetUrl header)
+app.post('/admin/links/import', authenticateAdmin('editor'), async (req, res) => {
+    const parsed = parseLinksCsv(req.body.csv || '');
+    if (parsed.error) {
+        return res.status(400).send(parsed.error);
+    }
+    if (parsed.rows.length === 0 || parsed.rows.length > MAX_BULK_ROWS) {
+        return res.status(400).send(`Provide between 1 and ${MAX_BULK_ROWS} rows.`);
+    }
+
+    try {
+        const report = await importLinks(parsed.rows, {
+            dryRun: req.body.dryRun === 'on',
+            onConflict: req.body.onConflict === 'update' ? 'update' : 'skip',
+            source: 'admin',
+            actor: sessionActor(req),
+            owner: req.session.user.username,
+            canUpdate: link => canManageLink(req.session.user, link)
+        });
+        res.render('bulk-results', report);
+    } catch (error) {
+        console.error('Error importing links:', error);
+        res.status(500).send('Error importing links.');
+    }
+});
+
+app.get('/admin/links/export', authenticateAdmin('viewer'), async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    try {
+        await streamLinkExport(res, format);
+    } catch (error) {
+        console.error('Error exporting links:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send('Error exporting links.');
+    }
+});
+
+// Render the API key management page
+async function renderApiKeys(res, { status = 200, error = null, createdKey = null } = {}) {
+    const apiKeys = await storage.apiKeys.list();
+    res.status(status).render('api-keys', {
+        apiKeys,
+        scopes: API_KEY_SCOPES,
+        defaultRateLimit: DEFAULT_API_RATE_LIMIT,
+        error,
+        createdKey
+    });
+}
+
+app.get('/admin/api-keys', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        await renderApiKeys(res);
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+        res.status(500).send('Error loading API keys.');
+    }
+});
+
+// Create an API key - the plaintext key is only shown in this response
+app.post('/admin/api-keys', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        const parsed = parseApiKeyOptions(req.body);
+        if (parsed.error) {
+            return renderApiKeys(res, { status: 400, error: parsed.error });
+        }
+
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await storage.apiKeys.create({ ...parsed.options, prefix, keyHash, createdBy: req.session.user.username });
+        await renderApiKeys(res, { createdKey: { name: apiKey.name, key } });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).send('Error creating API key.');
+    }
+});
+
+// Revoke an API key - it is rejected from the next request on
+app.post('/admin/api-keys/:id/revoke', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('API key not found');
+        }
+        const apiKey = await storage.apiKeys.revoke(req.params.id);
+        if (!apiKey) {
+            return res.status(404).send('API key not found or already revoked');
+        }
+        res.redirect('/admin/api-keys');
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).send('Error revoking API key.');
+    }
+});
+
+// Render the user management page
+async function renderUsers(req, res, { status = 200, error = null } = {}) {
+    const users = await storage.users.list();
+    res.status(status).render('users', {
+        users,
+        roles: USER_ROLES,
+        superadminUsername: SUPERADMIN_USERNAME,
+        currentUser: req.session.user,
+        error
+    });
+}
+
+app.get('/admin/users', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        await renderUsers(req, res);
+    } catch (error) {
+        console.error('Error loading users:', error);
+        res.status(500).send('Error loading users.');
+    }
+});
+
+app.post('/admin/users', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        const parsed = parseUserOptions({
+            username: req.body.username ?? '',
+            password: req.body.password,
+            role: req.body.role
+        });
+        if (parsed.error) {
+            return renderUsers(req, res, { status: 400, error: parsed.error });
+        }
+        if (await storage.users.findByUsername(parsed.options.username)) {
+            return renderUsers(req, res, { status: 409, error: 'That username is already taken.' });
+        }
+
+        await storage.users.create(parsed.options);
+        res.redirect('/admin/users');
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).send('Error creating user.');
+    }
+});
+
+// Change a user's role and/or password
+app.post('/admin/users/:id', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('User not found');
+        }
+
+        const parsed = parseUserOptions({
+            role: req.body.role,
+            password: req.body.password || undefined
+        }, { requirePassword: false });
+        if (parsed.error) {
+            return renderUsers(req, res, { status: 400, error: parsed.error });
+        }
+        if (req.params.id === req.session.user.id && parsed.options.role && parsed.options.role !== 'admin') {
+            return renderUsers(req, res, { status: 400, error: 'You cannot remove your own admin role.' });
+        }
+
+        const user = await storage.users.update(req.params.id, parsed.options);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+        res.redirect('/admin/users');
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).send('Error updating user.');
+    }
+});
+
+// Delete a user - their links keep the username as owner and stay manageable by admins
+app.post('/admin/users/:id/delete', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (req.params.id === req.session.user.id) {
+            return renderUsers(req, res, { status: 400, error: 'You cannot delete your own account.' });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('User not found');
+        }
+
+        const user = await storage.users.remove(req.params.id);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+        res.redirect('/admin/users');
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).send('Error deleting user.');
+    }
+});
+
+// Render the custom domain management page
+async function renderDomains(res, { status = 200, error = null } = {}) {
+    const [domains, linkCounts] = await Promise.all([
+        storage.domains.list(),
+        storage.links.countByDomain()
+    ]);
+    res.status(status).render('domains', {
+        domains,
+        linkCounts,
+        defaultDomain: DOMAIN_URL,
+        error
+    });
+}
+
+app.get('/admin/domains', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        await renderDomains(res);
+    } catch (error) {
+        console.error('Error loading domains:', error);
+        res.status(500).send('Error loading domains.');
+    }
+});
+
+app.post('/admin/domains', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        const parsed = parseDomainOptions(req.body);
+        if (parsed.error) {
+            return renderDomains(res, { status: 400, error: parsed.error });
+        }
+        if (await storage.domains.findByHostname(parsed.options.hostname)) {
+            return renderDomains(res, { status: 409, error: 'That domain has already been added.' });
+        }
+
+        await storage.domains.create({ ...parsed.options, createdBy: sessionActor(req) });
+        res.redirect('/admin/domains');
+    } catch (error) {
+        console.error('Error adding domain:', error);
+        res.status(500).send('Error adding domain.');
+    }
+});
+
+// Change a domain's root and not found pages
+app.post('/admin/domains/:id', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('Domain not found');
+        }
+
+        const parsed = parseDomainOptions(req.body, { includeHostname: false });
+        if (parsed.error) {
+            return renderDomains(res, { status: 400, error: parsed.error });
+        }
+
+        const domain = await storage.domains.update(req.params.id, parsed.options);
+        if (!domain) {
+            return res.status(404).send('Domain not found');
+        }
+        res.redirect('/admin/domains');
+    } catch (error) {
+        console.error('Error updating domain:', error);
+        res.status(500).send('Error updating domain.');
+    }
+});
+
+// Remove a domain - only once no links use it, so no short link silently changes namespace
+app.post('/admin/domains/:id/delete', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('Domain not found');
+        }
+        const domain = await storage.domains.get(req.params.id);
+        if (!domain) {
+            return res.status(404).send('Domain not found');
+        }
+        const linkCounts = await storage.links.countByDomain();
+        if (linkCounts[domain.hostname]) {
+            return renderDomains(res, { status: 409, error: `${domain.hostname} still has links. Delete or move them before removing the domain.` });
+        }
+
+        await storage.domains.remove(domain._id);
+        res.redirect('/admin/domains');
+    } catch (error) {
+        console.error('Error deleting domain:', error);
+        res.status(500).send('Error deleting domain.');
+    }
+});
+
+// Render the privacy page with the current settings and the result of the last erasure
+function renderPrivacy(res, { status = 200, error = null, erased = null } = {}) {
+    res.status(status).render('privacy', {
+        settings: {
+            mode: PRIVACY_MODE,
+            retentionDays: VISIT_RETENTION_DAYS,
+            honorDoNotTrack: HONOR_DO_NOT_TRACK
+        },
+        error,
+        erased
+    });
+}
+
+app.get('/admin/privacy', authenticateAdmin('admin'), (req, res) => {
+    renderPrivacy(res);
+});
+
+// Erase every visit recorded for an IP address
+app.post('/admin/privacy/erase', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        const parsed = parseErasureIp(req.body.ip);
+        if (parsed.error) {
+            return renderPrivacy(res, { status: 400, error: parsed.error });
+        }
+
+        const result = await eraseVisitsByIp(parsed.ip);
+        logger.info({ actor: sessionActor(req), deleted: result.deleted }, 'Erased visits by IP');
+        renderPrivacy(res, { erased: { ip: parsed.ip, ...result } });
+    } catch (error) {
+        console.error('Error erasing visits:', error);
+        res.status(500).send('Error erasing visits.');
+    }
+});
+
+// Render the webhook subscriptions page with the latest deliveries
+async function renderWebhooks(res, { status = 200, error = null } = {}) {
+    const [webhooks, deliveries] = await Promise.all([
+        storage.webhooks.list(),
+        storage.deliveries.recent(100)
+    ]);
+    res.status(status).render('webhooks', {
+        webhooks,
+        // Each delivery with its webhook (null once the webhook is deleted)
+        deliveries: deliveries.map(delivery => ({
+            ...delivery.toObject(),
+            id: delivery.id,
+            webhook: webhooks.find(webhook => webhook._id.equals(delivery.webhook)) || null
+        })),
+        events: WEBHOOK_EVENTS,
+        types: WEBHOOK_TYPES,
+        error
+    });
+}
+
+app.get('/admin/webhooks', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        await renderWebhooks(res);
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+        res.status(500).send('Error loading webhooks.');
+    }
+});
+
+app.post('/admin/webhooks', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        const parsed = parseWebhookOptions(req.body);
+        if (parsed.error) {
+            return renderWebhooks(res, { status: 400, error: parsed.error });
+        }
+
+        await storage.webhooks.create({
+            ...parsed.options,
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdBy: sessionActor(req)
+        });
+        res.redirect('/admin/webhooks');
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).send('Error creating webhook.');
+    }
+});
+
+app.post('/admin/webhooks/:id/toggle', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('Webhook not found');
+        }
+        const webhook = await storage.webhooks.get(req.params.id);
+        if (!webhook) {
+            return res.status(404).send('Webhook not found');
+        }
+        await storage.webhooks.update(webhook._id, { enabled: !webhook.enabled });
+        res.redirect('/admin/webhooks');
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).send('Error updating webhook.');
+    }
+});
+
+app.post('/admin/webhooks/:id/delete', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('Webhook not found');
+        }
+        const webhook = await storage.webhooks.remove(req.params.id);
+        if (!webhook) {
+            return res.status(404).send('Webhook not found');
+        }
+        await storage.deliveries.failPending(webhook._id, 'Webhook was deleted');
+        res.redirect('/admin/webhooks');
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).send('Error deleting webhook.');
+    }
+});
+
+// Retry a failed delivery now
+app.post('/admin/webhooks/deliveries/:id/retry', authenticateAdmin('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).send('Delivery not found');
+        }
+        const delivery = await storage.deliveries.retry(req.params.id);
+        if (!delivery) {
+            return res.status(404).send('Delivery not found or not failed');
+        }
+        await deliverWebhook(delivery);
+        res.redirect('/admin/webhooks');
+    } catch (error) {
+        console.error('Error retrying webhook delivery:', error);
+        res.status(500).send('Error retrying webhook delivery.');
+    }
+});
+
+app.post('/admin/logout', (req, res) => {
+    req.session.destroy(() => res.redirect('/admin/login'));
+});
+
+// --- API Routes ---
+// Resolve the API key first so rate limiting can be applied per key
+app.use('/api/*', resolveApiKey, apiLimiter);
+
+// Create a new shortened link
+app.post('/api/links', authenticateAPI('links:write'), async (req, res) => {
+    let { shortened, targetUrl } = req.body;
+    try {
+        const target = normalizeTargetUrl(targetUrl);
+        if (target.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: target.error
+            });
+        }
+        targetUrl = target.url;
+
+        const code = validateShortCode(shortened);
+        if (code.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: code.error
+            });
+        }
+
+        if (!shortened) {
+            shortened = generateRandomString();
+        }
+
+        const expiry = parseExpiryOptions(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+        const access = parseAccessPassword(req.body);
+        if (access.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: access.error
+            });
+        }
+
+        const metadata = parseLinkMetadata(req.body);
+        if (metadata.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: metadata.error
+            });
+        }
+
+        const queryOptions = parseQueryOptions(req.body);
+        if (queryOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: queryOptions.error
+            });
+        }
+
+        const previewOptions = parsePreviewOptions(req.body);
+        if (previewOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: previewOptions.error
+            });
+        }
+
+        const fields = {
+            targetUrl,
+            ...expiry.options,
+            ...access.options,
+            ...metadata.options,
+            ...queryOptions.options,
+            ...previewOptions.options,
+            updatedBy: apiActor(req),
+            updatedAt: new Date()
+        };
+        if (req.body.rules !== undefined) {
+            const routing = parseRoutingRules(req.body.rules);
+            if (routing.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: routing.error
+                });
+            }
+            fields.rules = routing.rules;
+        }
+        if (req.body.variants !== undefined) {
+            const rotation = parseVariants(req.body.variants);
+            if (rotation.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: rotation.error
+                });
+            }
+            fields.variants = rotation.variants;
+        }
+        if (req.body.stickyVariants !== undefined) {
+            fields.stickyVariants = req.body.stickyVariants === true || req.body.stickyVariants === 'true';
+        }
+        if (req.body.alwaysPreview !== undefined) {
+            fields.alwaysPreview = req.body.alwaysPreview === true || req.body.alwaysPreview === 'true';
+        }
+        if (req.body.deepLinks !== undefined) {
+            const parsed = parseDeepLinks(req.body.deepLinks);
+            if (parsed.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsed.error
+                });
+            }
+            fields.deepLinks = parsed.deepLinks;
+        }
+
+        const site = await resolveLinkDomain(req.body.domain);
+        if (site.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: site.error
+            });
+        }
+        const key = linkKey({ domain: site.domain, shortened });
+
+        const scheduleOptions = parseScheduleOptions(req.body, await storedScheduleTimezone(key, req.body));
+        if (scheduleOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: scheduleOptions.error
+            });
+        }
+        Object.assign(fields, scheduleOptions.options);
+
+        const chain = await checkRedirectChain(key, linkDestinations(fields));
+        if (chain.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: chain.error
+            });
+        }
+
+        // Taken short codes are refused - PUT /api/links/:shortened changes an existing link
+        const link = await storage.links.create(key, { ...fields, owner: apiOwner(req) });
+
+        await recordTargetChange({
+            ...key,
+            newTargetUrl: link.targetUrl,
+            source: 'api',
+            actor: apiActor(req)
+        });
+        emitLinkEvent('link.created', link, { actor: apiActor(req) });
+
+        res.status(201).json({
+            success: true,
+            message: 'Link created successfully',
+            data: serializeLink(link)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `The short code "${shortened}" is already taken. Use PUT /api/links/${shortened} to change that link.`
+            });
+        }
+        console.error('API Create Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error creating link'
+        });
+    }
+});
+
+// Bulk create/update links from a JSON array or CSV body
+app.post('/api/links/bulk', authenticateAPI('links:write'), async (req, res) => {
+    try {
+        let rows;
+        if (typeof req.body === 'string') {
+            const parsed = parseLinksCsv(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsed.error
+                });
+            }
+            rows = parsed.rows;
+        } else {
+            rows = Array.isArray(req.body) ? req.body : req.body?.links;
+        }
+
+        if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_BULK_ROWS) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Send a JSON array (or { "links": [...] }) or CSV with between 1 and ${MAX_BULK_ROWS} rows`
+            });
+        }
+
+        const options = { ...req.query, ...(Array.isArray(req.body) || typeof req.body === 'string' ? {} : req.body) };
+        const report = await importLinks(rows, {
+            dryRun: options.dryRun === true || options.dryRun === 'true',
+            onConflict: options.onConflict === 'update' ? 'update' : 'skip',
+            source: 'api',
+            actor: apiActor(req),
+            owner: apiOwner(req)
+        });
+
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('API Bulk Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error importing links'
+        });
+    }
+});
+
+// Export all links as CSV or JSON
+app.get('/api/links/export', authenticateAPI('links:read'), async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    try {
+        await streamLinkExport(res, format);
+    } catch (error) {
+        console.error('API Links Export Error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error exporting links'
+        });
+    }
+});
+
+// Read all links
+app.get('/api/links', authenticateAPI('links:read'), async (req, res) => {
+    const query = parseLinkQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: query.error
+        });
+    }
+
+    try {
+        const { links, totals, nextCursor } = await listLinks(query);
+        res.json({
+            success: true,
+            count: links.length,
+            total: totals.links,
+            nextCursor,
+            data: links.map(link => serializeLink(link))
+        });
+    } catch (error) {
+        console.error('API Read Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error fetching links'
+        });
+    }
+});
+
+// Read a single link
+app.get('/api/links/:shortened', authenticateAPI('links:read'), async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+
+        if (!link) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: serializeLink(link)
+        });
+    } catch (error) {
+        console.error('API Read Single Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error fetching link'
+        });
+    }
+});
+
+// Analytics for a single link
+app.get('/api/links/:shortened/stats', authenticateAPI('analytics'), async (req, res) => {
+    try {
+        const query = parseStatsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: query.error
+            });
+        }
+
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+
+        const stats = await buildStats(linkKey(link), query.options);
+        res.json({
+            success: true,
+            data: { shortened: link.shortened, domain: link.domain || null, visitCount: link.visitCount, ...stats }
+        });
+    } catch (error) {
+        console.error('API Stats Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error fetching link stats'
+        });
+    }
+});
+
+// Analytics summarised across all links
+app.get('/api/stats', authenticateAPI('analytics'), async (req, res) => {
+    try {
+        const query = parseStatsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: query.error
+            });
+        }
+
+        const [stats, linkCount] = await Promise.all([
+            buildStats(null, query.options),
+            storage.links.count()
+        ]);
+        res.json({
+            success: true,
+            data: { linkCount, ...stats }
+        });
+    } catch (error) {
+        console.error('API Account Stats Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error fetching stats'
+        });
+    }
+});
+
+// Erase every visit recorded for an IP address (data subject requests)
+app.post('/api/visits/erase', authenticateAPI('privacy'), async (req, res) => {
+    const parsed = parseErasureIp(req.body?.ip);
+    if (parsed.error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: parsed.error
+        });
+    }
+
+    try {
+        const result = await eraseVisitsByIp(parsed.ip);
+        logger.info({ actor: apiActor(req), deleted: result.deleted }, 'Erased visits by IP');
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('API Erase Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error erasing visits'
+        });
+    }
+});
+
+// Export the raw visits of a link as CSV or NDJSON
+app.get('/api/links/:shortened/visits/export', authenticateAPI('analytics'), async (req, res) => {
+    const query = parseExportQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: query.error
+        });
+    }
+
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+        await streamVisitExport(res, linkKey(link), query);
+    } catch (error) {
+        console.error('API Export Error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error exporting visits'
+        });
+    }
+});
+
+// Render the QR code of a link's short URL as SVG or PNG
+app.get('/api/links/:shortened/qr', authenticateAPI('links:read'), async (req, res) => {
+    const options = parseQrOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: options.error
+        });
+    }
+
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+
+        const qr = await renderQrCode(link, options);
+        if (qr.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: qr.error
+            });
+        }
+        sendQrCode(res, link, qr, options);
+    } catch (error) {
+        console.error('API QR Code Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error generating QR code'
+        });
+    }
+});
+
+// Read the target URL history of a link
+app.get('/api/links/:shortened/history', authenticateAPI('links:read'), async (req, res) => {
+    try {
+        const key = requestLinkKey(req);
+        const link = await storage.links.get(key);
+        const history = await storage.history.list(key);
+
+        if (!link && history.length === 0) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            count: history.length,
+            data: history.map(serializeHistoryEntry)
+        });
+    } catch (error) {
+        console.error('API History Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error fetching link history'
+        });
+    }
+});
+
+// Check a link's destinations now and return the stored result
+app.post('/api/links/:shortened/health-check', authenticateAPI('links:write'), async (req, res) => {
+    try {
+        const link = await storage.links.get(requestLinkKey(req));
+        if (!link) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+
+        const health = await checkLinkHealth(link);
+        res.json({
+            success: true,
+            data: health
+        });
+    } catch (error) {
+        console.error('API Health Check Error:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Error checking link health'
+        });
+    }
+});
+
+// Update a link
+app.put('/api/links/:shortened', authenticateAPI('links:write'), async (req, res) => {
+    try {
+        let { targetUrl } = req.body;
+
+        const expiry = parseExpiryOptions(req.body);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: expiry.error
+            });
+        }
+
+        const access = parseAccessPassword(req.body);
+        if (access.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: access.error
+            });
+        }
+
+        const metadata = parseLinkMetadata(req.body);
+        if (metadata.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: metadata.error
+            });
+        }
+
+        const queryOptions = parseQueryOptions(req.body);
+        if (queryOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: queryOptions.error
+            });
+        }
+
+        const previewOptions = parsePreviewOptions(req.body);
+        if (previewOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: previewOptions.error
+            });
+        }
+
+        const update = { ...expiry.options, ...access.options, ...metadata.options, ...queryOptions.options, ...previewOptions.options };
+        if (req.body.rules !== undefined) {
+            const routing = parseRoutingRules(req.body.rules);
+            if (routing.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: routing.error
+                });
+            }
+            update.rules = routing.rules;
+        }
+        if (req.body.variants !== undefined) {
+            const rotation = parseVariants(req.body.variants);
+            if (rotation.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: rotation.error
+                });
+            }
+            update.variants = rotation.variants;
+        }
+        if (req.body.stickyVariants !== undefined) {
+            update.stickyVariants = req.body.stickyVariants === true || req.body.stickyVariants === 'true';
+        }
+        if (req.body.alwaysPreview !== undefined) {
+            update.alwaysPreview = req.body.alwaysPreview === true || req.body.alwaysPreview === 'true';
+        }
+        if (req.body.deepLinks !== undefined) {
+            const parsed = parseDeepLinks(req.body.deepLinks);
+            if (parsed.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: parsed.error
+                });
+            }
+            update.deepLinks = parsed.deepLinks;
+        }
+
+        const key = requestLinkKey(req);
+        const scheduleOptions = parseScheduleOptions(req.body, await storedScheduleTimezone(key, req.body));
+        if (scheduleOptions.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: scheduleOptions.error
+            });
+        }
+        Object.assign(update, scheduleOptions.options);
+
+        if (!targetUrl && Object.keys(update).length === 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'targetUrl is required unless another link setting (expiry, access password, labels, UTM, query forwarding, preview, always preview, rules, variants, schedule or deep links) is being updated'
+            });
+        }
+
+        if (targetUrl) {
+            const target = normalizeTargetUrl(targetUrl);
+            if (target.error) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: target.error
+                });
             }
+            targetUrl = target.url;
+            update.targetUrl = targetUrl;
+        }
+
+        const chain = await checkRedirectChain(key, linkDestinations(update));
+        if (chain.error) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: chain.error
+            });
+        }
+
+        update.updatedBy = apiActor(req);
+        update.updatedAt = new Date();
+
+        const updated = await storage.links.update(key, update);
+        if (!updated) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Shortened link not found'
+            });
+        }
+        const { link, previous } = updated;
+
+        if (targetUrl) {
+            await recordTargetChange({
+                ...key,
+                oldTargetUrl: previous.targetUrl,
+                newTargetUrl: targetUrl,
+                source: 'api',
+                actor: apiActor(req)
+            });
+        }
+        emitLinkEvent('link.updated', link, { actor: apiActor(req) });
+
+        res.json({
+            success: true,
+            message: 'Link updated successfully',
+            data: serializeLink(link)
         });
     } catch (error) {
         console.error('API Update Error:', error);
@@ -543,9 +4663,9 @@ app.put('/api/links/:shortened', authenticateAPI, async (req, res) => {
 });
 
 // Delete a link
-app.delete('/api/links/:shortened', authenticateAPI, async (req, res) => {
+app.delete('/api/links/:shortened', authenticateAPI('links:write'), async (req, res) => {
     try {
-        const link = await Link.findOneAndDelete({ shortened: req.params.shortened });
+        const link = await storage.links.remove(requestLinkKey(req));
 
         if (!link) {
             return res.status(404).json({
@@ -554,11 +4674,15 @@ app.delete('/api/links/:shortened', authenticateAPI, async (req, res) => {
             });
         }
 
+        logger.info({ shortened: link.shortened, domain: link.domain, actor: apiActor(req) }, 'Link deleted through the API');
+        emitLinkEvent('link.deleted', link, { actor: apiActor(req) });
+
         res.json({
             success: true,
             message: 'Link deleted successfully',
             data: {
                 shortened: link.shortened,
+                domain: link.domain || null,
                 targetUrl: link.targetUrl,
                 visitCount: link.visitCount,
                 createdAt: link.createdAt
@@ -573,154 +4697,365 @@ app.delete('/api/links/:shortened', authenticateAPI, async (req, res) => {
     }
 });
 
-app.get('/:shortened', async (req, res) => {
-    try {
-        const link = await Link.findOne({ shortened: req.params.shortened });
-        if (!link) return res.status(404).sendFile(path.join(__dirname, '404.html'));
-        if (NTFY_TOPIC) {
-            fetch(`https://ntfy.sh/${NTFY_TOPIC}`, {
-                method: 'POST',
-                body: `A click has been detected on your link shortener for the link: ${link.targetUrl}`,
-                headers: {
-                    'Title': 'Click Detected',
-                    'Actions': `view, Open Tracking, https://${DOMAIN_URL}/admin/track/${link.shortened}`,
-                }
-            }).catch(err => {
-                // Silently log notification errors without blocking the redirect
-                logger.warn({ err, shortCode: link.shortened }, 'Failed to send ntfy notification');
-            });
-        }
-
-        // Increment visit count
-        link.visitCount += 1;
-        await link.save();
-
-        // Collect click tracking data
-        const clientIp = requestIp.getClientIp(req);
-        const userAgent = req.headers['user-agent'] || 'Unknown';
-        const parser = new UAParser(userAgent);
-        const parsedUA = parser.getResult();
-        const geo = geoip.lookup(clientIp);
-        const isBotRequest = isbot(userAgent);
-
-        // Additional request details
-        const referer = req.headers.referer || req.headers.referrer || 'Direct';
-        const acceptLanguage = req.headers['accept-language'] || 'Unknown';
-        const acceptEncoding = req.headers['accept-encoding'] || 'Unknown';
-
-        // Create visit record with proper error handling
-        const visitData = {
-            visitNumber: link.visitCount,
-            timestamp: new Date(),
-
-            // IP and Geographic data
-            ipAddress: clientIp || 'Unknown',
-
-            // User Agent details
-            userAgent: {
-                complete: userAgent,
-                parsedUA: JSON.stringify(parsedUA),
-                browser: {
-                    name: parsedUA.browser?.name || null,
-                    version: parsedUA.browser?.version || null
-                },
-                os: {
-                    name: parsedUA.os?.name || null,
-                    version: parsedUA.os?.version || null
-                },
-                device: {
-                    type: parsedUA.device?.type || 'desktop',
-                    model: parsedUA.device?.model || null
-                },
-                engine: {
-                    name: parsedUA.engine?.name || null,
-                    version: parsedUA.engine?.version || null
-                },
-                cpu: {
-                    architecture: parsedUA.cpu?.architecture || null
-                }
+// Record a visit (counter, tracking data, notification) and redirect to the target
+async function recordVisitAndRedirect(req, res, link) {
+    // Count the visit on the request's copy of the link - the stored count follows with the next click flush
+    link.visitCount += 1;
+
+    // Collect click tracking data - the raw IP and headers are only used here, and stored as PRIVACY_MODE allows
+    const clientIp = requestIp.getClientIp(req);
+    const storedIp = anonymizeIp(clientIp) || 'Unknown';
+    const minimizeHeaders = PRIVACY_MODE !== 'full';
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+    const parser = new UAParser(userAgent);
+    const parsedUA = parser.getResult();
+    const geo = geoip.lookup(clientIp);
+    const isBotRequest = isbot(userAgent);
+
+    // Additional request details
+    const referer = req.headers.referer || req.headers.referrer || 'Direct';
+    const acceptLanguage = req.headers['accept-language'] || 'Unknown';
+    const acceptEncoding = req.headers['accept-encoding'] || 'Unknown';
+
+    // QR scans carry ?src=qr - recorded on the visit, never forwarded
+    const { source, search } = splitSourceMarker(requestSearch(req));
+
+    // Apply conditional routing rules and A/B rotation, then UTM defaults and query forwarding
+    const destination = resolveDestination(link, {
+        parsedUA,
+        geo,
+        acceptLanguage: acceptLanguage !== 'Unknown' ? acceptLanguage : null,
+        preferredVariant: link.stickyVariants ? readCookie(req, variantCookieName(link.shortened)) : null
+    });
+    destination.targetUrl = buildRedirectUrl(destination.targetUrl, link, search);
+
+    if (destination.variant && link.stickyVariants) {
+        res.cookie(variantCookieName(link.shortened), destination.variant, {
+            maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+            httpOnly: true,
+            sameSite: 'lax'
+        });
+    }
+
+    // Deep links: mobile visitors are offered the app or sent to its store page; the rest get the web destination
+    const platform = devicePlatform(parsedUA);
+    const deepLink = isBotRequest ? null : resolveDeepLink(link, platform);
+    const deepLinkPath = hasDeepLinks(link) ? deepLink?.path || 'web' : null;
+
+    // Create visit record with proper error handling
+    const visitData = {
+        visitNumber: link.visitCount,
+        timestamp: new Date(),
+
+        // IP and Geographic data
+        ipAddress: storedIp,
+
+        // User Agent details - outside full mode only the parsed fields are kept, not the raw header
+        userAgent: {
+            complete: minimizeHeaders ? null : userAgent,
+            parsedUA: minimizeHeaders ? null : JSON.stringify(parsedUA),
+            browser: {
+                name: parsedUA.browser?.name || null,
+                version: parsedUA.browser?.version || null
+            },
+            os: {
+                name: parsedUA.os?.name || null,
+                version: parsedUA.os?.version || null
             },
+            device: {
+                type: parsedUA.device?.type || 'desktop',
+                model: parsedUA.device?.model || null
+            },
+            engine: {
+                name: parsedUA.engine?.name || null,
+                version: parsedUA.engine?.version || null
+            },
+            cpu: {
+                architecture: parsedUA.cpu?.architecture || null
+            }
+        },
+
+        // Additional tracking info
+        isBot: isBotRequest || false,
+        referrer: referer,
+        acceptLanguage: acceptLanguage === 'Unknown' ? null : minimizeHeaders ? acceptLanguage.split(/[,;]/)[0].trim() : acceptLanguage,
+        acceptEncoding: acceptEncoding !== 'Unknown' ? acceptEncoding : null,
+
+        // Routing outcome
+        matchedRule: destination.matchedRule,
+        variant: destination.variant,
+        scheduleEntry: destination.scheduleEntry,
+        destinationUrl: deepLink?.url || destination.targetUrl,
+        source,
+        platform,
+        deepLinkPath
+    };
 
-            // Additional tracking info
-            isBot: isBotRequest || false,
-            referrer: referer,
-            acceptLanguage: acceptLanguage !== 'Unknown' ? acceptLanguage : null,
-            acceptEncoding: acceptEncoding !== 'Unknown' ? acceptEncoding : null
+    // Add geographic data only if available
+    if (geo) {
+        visitData.geographic = {
+            country: geo.country || null,
+            region: geo.region || null,
+            city: geo.city || null,
+            timezone: geo.timezone || null,
+            coordinates: geo.ll || []
         };
+    }
 
-        // Add geographic data only if available
-        if (geo) {
-            visitData.geographic = {
-                country: geo.country || null,
-                region: geo.region || null,
-                city: geo.city || null,
-                timezone: geo.timezone || null,
-                coordinates: geo.ll || []
-            };
+    // Visitors who opted out are only counted - nothing about them is stored or sent to webhooks
+    const optedOut = visitorOptedOut(req);
+    const webhookVisit = optedOut ? {
+        visitNumber: visitData.visitNumber,
+        timestamp: visitData.timestamp,
+        isBot: visitData.isBot,
+        matchedRule: visitData.matchedRule,
+        variant: visitData.variant,
+        scheduleEntry: visitData.scheduleEntry,
+        destinationUrl: visitData.destinationUrl,
+        source,
+        platform,
+        deepLinkPath
+    } : visitData;
+
+    // Queue the visit as its own document - stored with the rollup counters after the response
+    let visit = null;
+    if (!optedOut) {
+        visit = new Visit({ ...linkKey(link), ...visitData });
+        const trackingError = visit.validateSync();
+        if (trackingError) {
+            // If full tracking fails, fall back to minimal essential data
+            console.warn('Full tracking failed, trying minimal visit data:', trackingError.message);
+            visit = new Visit({
+                ...linkKey(link),
+                visitNumber: link.visitCount,
+                timestamp: visitData.timestamp,
+                ipAddress: storedIp,
+                isBot: isBotRequest || false,
+                referrer: referer || 'Direct',
+                userAgent: {
+                    complete: minimizeHeaders ? null : userAgent,
+                    parsedUA: '{}'
+                },
+                matchedRule: destination.matchedRule,
+                variant: destination.variant,
+                scheduleEntry: destination.scheduleEntry,
+                destinationUrl: visitData.destinationUrl,
+                source,
+                platform,
+                deepLinkPath
+            });
+            if (visit.validateSync()) visit = null;
         }
+    }
+    // The link.clicked webhook event is stored with the click batch, after the response
+    queueClick(link, {
+        visit: visit?.toObject() ?? null,
+        timestamp: visitData.timestamp,
+        isBot: visitData.isBot,
+        event: { shortened: link.shortened, link: webhookLinkSummary(link), visit: webhookVisit, createdAt: visitData.timestamp }
+    });
+    if (link.isExpired) notifyLinkExpired(link); // This visit used up the maxVisits budget
 
-        // Save tracking data to database - append visit to existing document or create new
-        try {
-            // Find existing tracking document or create new one
-            let tracking = await Tracking.findOne({ shortened: req.params.shortened });
-
-            if (!tracking) {
-                // Backward compatibility: Create new tracking document
-                // Initialize with data from links table
-                tracking = new Tracking({
-                    shortened: req.params.shortened,
-                    targetUrl: link.targetUrl,
-                    visits: []
-                });
-            }
+    // Preview crawlers get the link's social card (the visit is queued above as a bot) - everyone else the redirect
+    if (hasPreviewCard(link) && isPreviewCrawler(userAgent)) {
+        return res.render('preview-card', {
+            preview: link.preview,
+            shortUrl: shortUrlFor(link),
+            targetUrl: destination.targetUrl
+        });
+    }
 
-            // Append the new visit data
-            tracking.visits.push(visitData);
+    if (deepLink?.path === 'app') {
+        return res.render('open-app', {
+            appUrl: deepLink.url,
+            storeUrl: deepLink.storeUrl,
+            webUrl: destination.targetUrl
+        });
+    }
+    res.redirect(deepLink?.url || destination.targetUrl);
+}
 
-            // Update targetUrl in case it changed
-            tracking.targetUrl = link.targetUrl;
+// Unknown short code - the domain's own not found page, or the built-in one
+function sendLinkNotFound(res, site) {
+    if (site?.notFoundUrl) return res.redirect(site.notFoundUrl);
+    res.status(404).sendFile(path.join(__dirname, '404.html'));
+}
 
-            await tracking.save();
-        } catch (trackingError) {
-            // If full tracking fails, try to save minimal essential data
-            console.warn('Full tracking failed, trying minimal visit data:', trackingError.message);
-            try {
-                let tracking = await Tracking.findOne({ shortened: req.params.shortened });
-
-                if (!tracking) {
-                    tracking = new Tracking({
-                        shortened: req.params.shortened,
-                        targetUrl: link.targetUrl,
-                        visits: []
-                    });
-                }
+// Where a link goes, without following it or counting a visit. The destination of a
+// password-protected link stays hidden; continuing leads to its unlock form instead.
+function renderLinkPreview(req, res, link) {
+    const protectedLink = Boolean(link.accessPasswordHash);
+    res.render('link-preview', {
+        shortUrl: shortUrlFor(link),
+        targetUrl: protectedLink ? null : activeScheduleEntry(link)?.targetUrl || link.targetUrl,
+        varies: link.rules.length > 0 || link.variants.length > 0 || link.schedule.length > 0 || hasDeepLinks(link),
+        createdAt: link.createdAt,
+        visitCount: link.visitCount,
+        continueUrl: `/${encodeURIComponent(link.shortened)}${protectedLink ? '' : '/continue'}${requestSearch(req)}`
+    });
+}
 
-                // Minimal visit data
-                tracking.visits.push({
-                    visitNumber: link.visitCount,
-                    timestamp: new Date(),
-                    ipAddress: clientIp || 'Unknown',
-                    isBot: isBotRequest || false,
-                    referrer: referer || 'Direct',
-                    userAgent: {
-                        complete: userAgent,
-                        parsedUA: '{}'
-                    }
-                });
+// Shared by the short link routes. mode is 'follow' (the short link itself), 'preview'
+// (/:shortened+ and /:shortened/preview) or 'continue' (past an always-on preview page).
+async function serveShortLink(req, res, shortened, mode) {
+    const site = await domainForHost(req);
+    // No await from here to the click being queued - see withPendingClicks
+    const link = withPendingClicks(await findCachedLink({ domain: site?.hostname ?? null, shortened }));
+    if (!link) return sendLinkNotFound(res, site);
+    if (link.isExpired) {
+        if (!link.expiredNotifiedAt) notifyLinkExpired(link);
+        return res.status(410).sendFile(path.join(__dirname, 'expired.html'));
+    }
+    if (mode === 'preview' || (mode === 'follow' && link.alwaysPreview && !link.accessPasswordHash)) {
+        return renderLinkPreview(req, res, link);
+    }
+    if (link.accessPasswordHash) {
+        return res.render('unlock', { shortCode: link.shortened, search: requestSearch(req), error: null });
+    }
 
-                await tracking.save();
+    await recordVisitAndRedirect(req, res, link);
+}
 
-            } catch (minimalError) {
-            }
+app.get('/:shortened', async (req, res) => {
+    try {
+        // A trailing "+" previews the link instead of following it
+        const { shortened } = req.params;
+        if (shortened.length > 1 && shortened.endsWith('+')) {
+            return await serveShortLink(req, res, shortened.slice(0, -1), 'preview');
         }
+        await serveShortLink(req, res, shortened, 'follow');
+    } catch (error) {
+        console.error('Error processing link click:', error);
+        res.status(500).send('Internal server error.');
+    }
+});
+
+app.get('/:shortened/preview', async (req, res) => {
+    try {
+        await serveShortLink(req, res, req.params.shortened, 'preview');
+    } catch (error) {
+        console.error('Error showing link preview:', error);
+        res.status(500).send('Internal server error.');
+    }
+});
 
-        res.redirect(link.targetUrl);
+app.get('/:shortened/continue', async (req, res) => {
+    try {
+        await serveShortLink(req, res, req.params.shortened, 'continue');
     } catch (error) {
         console.error('Error processing link click:', error);
         res.status(500).send('Internal server error.');
     }
 });
 
+app.post('/:shortened/unlock', unlockLimiter, async (req, res) => {
+    try {
+        const site = await domainForHost(req);
+        const link = withPendingClicks(await findCachedLink({ domain: site?.hostname ?? null, shortened: req.params.shortened }));
+        if (!link) return sendLinkNotFound(res, site);
+        if (link.isExpired) return res.status(410).sendFile(path.join(__dirname, 'expired.html'));
+
+        if (link.accessPasswordHash && !verifyPassword(req.body.password, link.accessPasswordHash)) {
+            return res.status(401).render('unlock', {
+                shortCode: link.shortened,
+                search: requestSearch(req),
+                error: 'Incorrect password.'
+            });
+        }
+
+        await recordVisitAndRedirect(req, res, link);
+    } catch (error) {
+        console.error('Error unlocking link:', error);
+        res.status(500).send('Internal server error.');
+    }
+});
+
 // --- Start Server ---
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Connect-or-exit, the background workers, the HTTP listener and the shutdown handlers. Only run when
+// server.js is started directly (or on Vercel); require('./server') gets the app without any of them.
+function start() {
+    dbReady.catch(() => process.exit(1)); // Logged where dbReady is created
+
+    // Backend upkeep - old MongoDB indexes, expired entries in the storage file
+    dbReady.then(() => storage.prepare()).catch(error => {
+        logger.error({ err: error }, 'Preparing storage failed');
+    });
+    // Move visits out of legacy Tracking documents once the database is reachable
+    dbReady.then(migrateLegacyVisits).catch(error => {
+        logger.error({ err: error }, 'Legacy visit migration failed');
+    });
+    dbReady.then(assignLegacyOwners).catch(error => {
+        logger.error({ err: error }, 'Assigning owners to legacy links failed');
+    });
+    dbReady.then(ensureNtfyWebhook).catch(error => {
+        logger.error({ err: error }, 'Creating the ntfy webhook failed');
+    });
+
+    // Retry webhook deliveries in the background
+    dbReady.then(() => {
+        setInterval(() => {
+            processWebhookQueue().catch(error => logger.warn({ err: error }, 'Webhook queue run failed'));
+        }, WEBHOOK_WORKER_INTERVAL_MS).unref();
+    });
+
+    // Purge visits past the retention period, at startup and then hourly
+    dbReady.then(() => {
+        if (VISIT_RETENTION_DAYS <= 0) return;
+        const purge = () => purgeExpiredVisits().catch(error => logger.warn({ err: error }, 'Visit retention purge failed'));
+        purge();
+        setInterval(purge, RETENTION_WORKER_INTERVAL_MS).unref();
+    });
+
+    // Check link targets in the background
+    dbReady.then(() => {
+        if (HEALTH_CHECK_INTERVAL_MINUTES <= 0) return;
+        setInterval(() => {
+            processHealthChecks().catch(error => logger.warn({ err: error }, 'Link health check run failed'));
+        }, HEALTH_WORKER_INTERVAL_MS).unref();
+    });
+
+    const server = app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    process.once('SIGTERM', () => shutdown(server, 'SIGTERM'));
+    process.once('SIGINT', () => shutdown(server, 'SIGINT'));
+    return server;
+}
+
+// Graceful shutdown: finish open requests, store the queued clicks, then close storage. Requests
+// still running after SHUTDOWN_TIMEOUT_MS have their connections closed; the clicks they queued are
+// stored all the same.
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+async function shutdown(server, signal) {
+    logger.info(`${signal} received, shutting down`);
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections(); // Idle keep-alive connections would hold server.close() back
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS, true);
+    });
+    if (await Promise.race([closed, timedOut])) {
+        logger.warn('Requests still running after the shutdown timeout; closing their connections');
+        server.closeAllConnections();
+    }
+    clearTimeout(timer);
+
+    try {
+        do {
+            await flushClicks();
+        } while (hasQueuedClicks());
+        await storage.close();
+        process.exit(0);
+    } catch (error) {
+        logger.error({ err: error }, 'Shutdown failed');
+        process.exit(1);
+    }
+}
+
+if (require.main === module || process.env.VERCEL) start();
+
+// For integration tests (see test/routes.test.js): STORAGE_BACKEND=file STORAGE_FILE=:memory: gives an
+// offline app; await flushClicks() before reading visits, and close `storage` when done
+module.exports = { app, storage, dbReady, flushClicks };
@@ -0,0 +1,773 @@
+// Embedded backend - the repositories (see index.js) over records held in memory. Each table keeps
+// the indexes its repository looks records up by. Changed records are appended to a journal next
+// to the storage file (`<file>.log`) once a second, and the journal is folded into a fresh
+// snapshot of the whole store when it grows long and on close.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+    Link,
+    Visit,
+    VisitRollup,
+    LinkHistory,
+    ApiKey,
+    Webhook,
+    WebhookDelivery,
+    User,
+    Domain
+} = require('./models');
+
+const JOURNAL_WRITE_DELAY_MS = 1000; // Changes are batched into one journal append per second
+const JOURNAL_COMPACT_ENTRIES = 10000; // Journal entries that trigger a fresh snapshot
+const DELIVERY_LOG_MS = WebhookDelivery.schema.path('createdAt').options.expires * 1000;
+
+function duplicateKeyError(table, index) {
+    const error = new Error(`E11000 duplicate key error collection: ${table} index: ${index}`);
+    error.code = 11000;
+    return error;
+}
+
+// Deep copy of a stored record. Dates are copied, ObjectIds are immutable and shared.
+function copy(value) {
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(copy);
+    if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+    }
+    return value;
+}
+
+// Records are plain objects in the shape toObject() gives (cast, with defaults applied). They
+// are never changed in place - every write stores a new record - so a stored record can be
+// handed to the journal as it is.
+function toRecord(doc) {
+    return doc.toObject({ depopulate: true, versionKey: false });
+}
+
+function keyString(domain, shortened) {
+    return `${domain || ''}/${shortened}`;
+}
+
+function time(value) {
+    return value instanceof Date ? value.getTime() : null;
+}
+
+// A table of records by _id plus secondary indexes: `unique` maps a name to a key function
+// (one record per key, null keys are not indexed), `groups` to a key function whose records
+// are kept together.
+function createTable(name, Model, { unique = {}, groups = {} }, journal) {
+    const records = new Map();
+    const uniqueEntries = Object.fromEntries(Object.keys(unique).map(index => [index, new Map()]));
+    const groupEntries = Object.fromEntries(Object.keys(groups).map(index => [index, new Map()]));
+
+    function index(id, record, add) {
+        for (const [indexName, keyOf] of Object.entries(unique)) {
+            const key = keyOf(record);
+            if (key === null) continue;
+            if (add) uniqueEntries[indexName].set(key, id);
+            else if (uniqueEntries[indexName].get(key) === id) uniqueEntries[indexName].delete(key);
+        }
+        for (const [indexName, keyOf] of Object.entries(groups)) {
+            const key = keyOf(record);
+            const members = groupEntries[indexName].get(key) || new Set();
+            if (add) {
+                members.add(id);
+                groupEntries[indexName].set(key, members);
+            } else {
+                members.delete(id);
+                if (members.size === 0) groupEntries[indexName].delete(key);
+            }
+        }
+    }
+
+    function store(record, journaled) {
+        const id = String(record._id);
+        for (const [indexName, keyOf] of Object.entries(unique)) {
+            const key = keyOf(record);
+            const holder = key === null ? undefined : uniqueEntries[indexName].get(key);
+            if (holder !== undefined && holder !== id) throw duplicateKeyError(name, indexName);
+        }
+        const current = records.get(id);
+        if (current) index(id, current, false);
+        records.set(id, record);
+        index(id, record, true);
+        if (journaled) journal.put(name, id, record);
+    }
+
+    return {
+        name,
+        Model,
+        get size() {
+            return records.size;
+        },
+        get: (id) => records.get(String(id)) || null,
+        all: () => records.values(),
+        find(indexName, key) {
+            const id = uniqueEntries[indexName].get(key);
+            return id === undefined ? null : records.get(id);
+        },
+        group(indexName, key) {
+            return [...(groupEntries[indexName].get(key) || [])].map(id => records.get(id));
+        },
+        load: (record) => store(record, false),
+        put: (record) => store(record, true),
+        remove(id) {
+            id = String(id);
+            const current = records.get(id);
+            if (!current) return null;
+            index(id, current, false);
+            records.delete(id);
+            journal.put(name, id, null);
+            return current;
+        }
+    };
+}
+
+// Pending journal entries are kept per record, so a record changed many times within a second
+// is written once
+function createJournal(file) {
+    const journalFile = `${file}.log`;
+    const persistent = file !== ':memory:';
+    let pending = new Map(); // "table/id" -> { c: table, put: record } or { c: table, del: id }
+    let entries = 0; // Lines in the journal file
+    let failed = false; // A write failed - its entries are only safe once a snapshot is written
+    let timer = null;
+    let writing = Promise.resolve();
+    let snapshot = null; // Returns the whole store for compaction
+
+    function takeLines() {
+        const lines = [...pending.values()].map(entry => JSON.stringify(entry) + '\n').join('');
+        entries += pending.size;
+        pending = new Map();
+        return lines;
+    }
+
+    // Write through a temporary file so a crash never leaves a half written snapshot behind.
+    // Pending entries are appended first: replaying the old journal over the new snapshot (a
+    // crash before the truncate) then ends on the same records.
+    async function compact() {
+        const lines = takeLines();
+        const contents = JSON.stringify(snapshot());
+        if (lines) await fs.promises.appendFile(journalFile, lines);
+        const temporary = `${file}.tmp`;
+        await fs.promises.writeFile(temporary, contents);
+        await fs.promises.rename(temporary, file);
+        await fs.promises.writeFile(journalFile, '');
+        entries = 0;
+        failed = false;
+    }
+
+    async function append() {
+        if (failed || entries + pending.size >= JOURNAL_COMPACT_ENTRIES) return compact();
+        if (pending.size === 0) return;
+        await fs.promises.appendFile(journalFile, takeLines());
+    }
+
+    function enqueue(step) {
+        writing = writing.then(step).catch(error => {
+            failed = true;
+            console.error(`Error writing storage file ${file}:`, error);
+        });
+        return writing;
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        return persistent ? enqueue(append) : writing;
+    }
+
+    return {
+        persistent,
+
+        put(table, id, record) {
+            if (!persistent) return;
+            pending.set(`${table}/${id}`, record ? { c: table, put: record } : { c: table, del: id });
+            if (!timer) timer = setTimeout(flush, JOURNAL_WRITE_DELAY_MS);
+        },
+
+        // Read the snapshot and replay the journal over it. A torn last line (a crash during an
+        // append) is ignored.
+        read() {
+            const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            const lines = fs.existsSync(journalFile) ? fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean) : [];
+            const collections = saved.collections || {};
+            const tables = Object.fromEntries(Object.entries(collections).map(([name, list]) => [name, new Map(list.map(raw => [String(raw._id), raw]))]));
+
+            for (const [number, line] of lines.entries()) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    if (number === lines.length - 1) break;
+                    throw error;
+                }
+                tables[entry.c] = tables[entry.c] || new Map();
+                if (entry.put) tables[entry.c].set(String(entry.put._id), entry.put);
+                else tables[entry.c].delete(entry.del);
+            }
+            entries = lines.length;
+            return Object.fromEntries(Object.entries(tables).map(([name, records]) => [name, [...records.values()]]));
+        },
+
+        start(getSnapshot) {
+            snapshot = getSnapshot;
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            // Entries still waiting for the debounced append are written when the process exits
+            process.on('exit', () => {
+                if (pending.size > 0) fs.appendFileSync(journalFile, takeLines());
+            });
+        },
+
+        flush,
+
+        compact() {
+            clearTimeout(timer);
+            timer = null;
+            return persistent ? enqueue(compact) : writing;
+        }
+    };
+}
+
+function createFileStorage({ file, logger = console }) {
+    const journal = createJournal(file);
+    const linkKey = (record) => keyString(record.domain, record.shortened);
+
+    // Table names match the collection names of the snapshot format
+    const tables = {
+        links: createTable('links', Link, { unique: { key: linkKey }, groups: {} }, journal),
+        visits: createTable('visits', Visit, {
+            unique: { legacyId: (record) => record.legacyId ? String(record.legacyId) : null },
+            groups: { link: linkKey, ip: (record) => record.ipAddress ?? null }
+        }, journal),
+        visitRollups: createTable('visitRollups', VisitRollup, {
+            unique: { bucket: (record) => `${linkKey(record)}|${record.granularity}|${time(record.bucket)}` },
+            groups: { link: linkKey }
+        }, journal),
+        linkHistory: createTable('linkHistory', LinkHistory, {
+            unique: { version: (record) => `${linkKey(record)}|${record.version}` },
+            groups: { link: linkKey }
+        }, journal),
+        apiKeys: createTable('apiKeys', ApiKey, { unique: { keyHash: (record) => record.keyHash } }, journal),
+        webhooks: createTable('webhooks', Webhook, {}, journal),
+        webhookDeliveries: createTable('webhookDeliveries', WebhookDelivery, { groups: { status: (record) => record.status } }, journal),
+        users: createTable('users', User, { unique: { username: (record) => record.username } }, journal),
+        domains: createTable('domains', Domain, { unique: { hostname: (record) => record.hostname } }, journal)
+    };
+
+    // Mongoose documents handed out are copies; changing one changes nothing until it is saved
+    function output(table, record) {
+        return record ? table.Model.hydrate(copy(record)) : null;
+    }
+
+    function insert(table, fields) {
+        const doc = fields instanceof table.Model ? fields : new table.Model(fields);
+        const error = doc.validateSync();
+        if (error) throw error;
+        table.put(toRecord(doc));
+        doc.isNew = false;
+        return doc;
+    }
+
+    // Store a record with top-level fields (or dotted paths) replaced
+    function change(table, record, changes) {
+        const doc = output(table, record);
+        doc.set(changes);
+        const error = doc.validateSync();
+        if (error) throw error;
+        table.put(toRecord(doc));
+        return output(table, table.get(record._id));
+    }
+
+    // Store the fields changed on a loaded document. Whole top-level fields are written, so
+    // changes other writers made to the record's other fields are kept.
+    function save(table, doc) {
+        if (doc.isNew) return insert(table, doc);
+        const record = table.get(doc._id);
+        if (!record) throw new Error(`No ${table.Model.modelName} document found to save with _id ${doc._id}`);
+
+        const snapshot = toRecord(doc);
+        const fields = [...new Set(doc.directModifiedPaths().map(modified => modified.split('.')[0]))];
+        change(table, record, Object.fromEntries(fields.map(field => [field, snapshot[field]])));
+        return doc;
+    }
+
+    function compare(a, b) {
+        a = a instanceof Date ? a.getTime() : a ?? null;
+        b = b instanceof Date ? b.getTime() : b ?? null;
+        if (a === b) return 0;
+        if (a === null) return -1; // Missing values sort lowest, as in MongoDB
+        if (b === null) return 1;
+        return a < b ? -1 : 1;
+    }
+
+    function matchesLink(link, { search, tags, owner, domain, health, createdFrom, createdTo }) {
+        if (search) {
+            const needle = search.toLowerCase();
+            const found = [link.shortened, link.targetUrl, link.title].some(value => value?.toLowerCase().includes(needle)) ||
+                link.tags.includes(needle);
+            if (!found) return false;
+        }
+        if (tags?.length > 0 && !tags.every(tag => link.tags.includes(tag))) return false;
+        if (owner !== undefined && (link.owner ?? null) !== owner) return false;
+        if (domain !== undefined && (link.domain ?? null) !== domain) return false;
+        if (health !== undefined && (link.health?.state ?? null) !== health) return false;
+        if (createdFrom && !(link.createdAt >= createdFrom)) return false;
+        if (createdTo && !(link.createdAt <= createdTo)) return false;
+        return true;
+    }
+
+    function findLink(key) {
+        return tables.links.find('key', keyString(key.domain, key.shortened));
+    }
+
+    const links = {
+        get: async (key) => output(tables.links, findLink(key)),
+
+        // Searches and filters scan every link; the page is cut from the sorted matches
+        async list(criteria, { sort, order, limit, after }) {
+            const direction = order === 'asc' ? 1 : -1;
+            const matches = [...tables.links.all()].filter(link => matchesLink(link, criteria));
+            const position = (link, value, id) => direction * (compare(link[sort], value) || compare(String(link._id), id));
+
+            const totals = { links: matches.length, visits: 0, active: 0, broken: 0 };
+            for (const link of matches) {
+                totals.visits += link.visitCount || 0;
+                if (link.visitCount > 0) totals.active++;
+                if (link.health?.state === 'failing') totals.broken++;
+            }
+
+            const sorted = matches
+                .filter(link => !after || position(link, after.value, String(after.id)) > 0)
+                .sort((a, b) => position(a, b[sort], String(b._id)));
+            return {
+                links: sorted.slice(0, limit).map(link => output(tables.links, link)),
+                hasMore: sorted.length > limit,
+                totals
+            };
+        },
+
+        async tags() {
+            return [...new Set([...tables.links.all()].flatMap(link => link.tags))];
+        },
+
+        count: async () => tables.links.size,
+
+        async countByDomain() {
+            const counts = {};
+            for (const link of tables.links.all()) {
+                if (link.domain) counts[link.domain] = (counts[link.domain] || 0) + 1;
+            }
+            return counts;
+        },
+
+        async *iterate() {
+            const sorted = [...tables.links.all()].sort((a, b) => compare(a.createdAt, b.createdAt));
+            for (const link of sorted) yield copy(link);
+        },
+
+        async create(key, fields) {
+            insert(tables.links, { ...fields, ...key });
+            return output(tables.links, findLink(key));
+        },
+
+        async upsert(key, changes, onInsert = {}) {
+            const current = findLink(key);
+            if (current) {
+                return { previous: output(tables.links, current), link: change(tables.links, current, changes) };
+            }
+            insert(tables.links, { ...onInsert, ...changes, ...key });
+            return { previous: null, link: output(tables.links, findLink(key)) };
+        },
+
+        async update(key, changes) {
+            const current = findLink(key);
+            if (!current) return null;
+            return { previous: output(tables.links, current), link: change(tables.links, current, changes) };
+        },
+
+        save: async (link) => save(tables.links, link),
+
+        async remove(key) {
+            const current = findLink(key);
+            return current ? output(tables.links, tables.links.remove(current._id)) : null;
+        },
+
+        async addVisits(counts) {
+            for (const { id, count } of counts) {
+                const current = tables.links.get(id);
+                if (current) change(tables.links, current, { visitCount: (current.visitCount || 0) + count });
+            }
+        },
+
+        async claimExpiryNotice(id) {
+            const current = tables.links.get(id);
+            if (!current || current.expiredNotifiedAt) return null;
+            return change(tables.links, current, { expiredNotifiedAt: new Date() });
+        },
+
+        async expiredUnnotified(now, limit) {
+            return [...tables.links.all()]
+                .filter(link => link.expiresAt && link.expiresAt <= now && !link.expiredNotifiedAt)
+                .slice(0, limit)
+                .map(link => output(tables.links, link));
+        },
+
+        async dueForHealthCheck({ checkedBefore, now, limit }) {
+            return [...tables.links.all()]
+                .filter(link => !link.health?.checkedAt || link.health.checkedAt <= checkedBefore || link.health.checkedUrl !== link.targetUrl)
+                .filter(link => !link.expiresAt || link.expiresAt > now)
+                .sort((a, b) => compare(a.health?.checkedAt, b.health?.checkedAt))
+                .slice(0, limit)
+                .map(link => output(tables.links, link));
+        },
+
+        async claimHealthCheck(id, checkedAt) {
+            const current = tables.links.get(id);
+            if (!current || time(current.health?.checkedAt) !== time(checkedAt)) return null;
+            change(tables.links, current, { 'health.checkedAt': new Date() });
+            return output(tables.links, current);
+        },
+
+        async setHealth(id, health) {
+            const current = tables.links.get(id);
+            return current ? change(tables.links, current, { health }) : null;
+        },
+
+        async assignOwner(owner) {
+            const unowned = [...tables.links.all()].filter(link => !link.owner);
+            unowned.forEach(link => change(tables.links, link, { owner }));
+            return unowned.length;
+        }
+    };
+
+    function linkVisits(key) {
+        return key ? tables.visits.group('link', keyString(key.domain, key.shortened)) : [...tables.visits.all()];
+    }
+
+    function matchesVisit(visit, { from, to, bots = 'include', country } = {}) {
+        if (bots === 'exclude' && visit.isBot) return false;
+        if (bots === 'only' && !visit.isBot) return false;
+        if (from && !(visit.timestamp >= from)) return false;
+        if (to && !(visit.timestamp <= to)) return false;
+        if (country && visit.geographic?.country !== country) return false;
+        return true;
+    }
+
+    // Top values of a field among visits, most frequent first
+    function topBy(visits, valueOf, limit) {
+        const counts = new Map();
+        for (const visit of visits) {
+            const value = valueOf(visit) ?? null;
+            const id = JSON.stringify(value);
+            const entry = counts.get(id) || { value, count: 0 };
+            entry.count++;
+            counts.set(id, entry);
+        }
+        return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+
+    const visits = {
+        async add(list) {
+            const writeErrors = [];
+            for (const [index, fields] of list.entries()) {
+                try {
+                    insert(tables.visits, fields);
+                } catch (error) {
+                    writeErrors.push({ index, code: error.code, errmsg: error.message });
+                }
+            }
+            if (writeErrors.length > 0) {
+                const error = new Error(`${writeErrors.length} of ${list.length} visits could not be stored`);
+                error.writeErrors = writeErrors;
+                throw error;
+            }
+        },
+
+        async page(key, { skip, limit }) {
+            return linkVisits(key)
+                .sort((a, b) => compare(b.timestamp, a.timestamp))
+                .slice(skip, skip + limit)
+                .map(visit => output(tables.visits, visit));
+        },
+
+        async countBy(key, fields) {
+            const groups = new Map();
+            for (const visit of linkVisits(key)) {
+                if (visit[fields[0]] == null) continue;
+                const values = Object.fromEntries(fields.map(field => [field, visit[field] ?? null]));
+                const id = JSON.stringify(values);
+                const group = groups.get(id) || { ...values, clicks: 0, humans: 0 };
+                group.clicks++;
+                if (!visit.isBot) group.humans++;
+                groups.set(id, group);
+            }
+            return [...groups.values()];
+        },
+
+        async breakdowns(key, { from, to, includeBots, limit }) {
+            const matched = linkVisits(key).filter(visit => matchesVisit(visit, { from, to, bots: includeBots ? 'include' : 'exclude' }));
+            const result = {
+                visits: matched.length,
+                bots: matched.filter(visit => visit.isBot).length,
+                uniqueVisitors: new Set(matched.map(visit => visit.ipAddress ?? null)).size,
+                countries: topBy(matched, visit => visit.geographic?.country, limit),
+                cities: topBy(matched, visit => ({ city: visit.geographic?.city ?? null, country: visit.geographic?.country ?? null }), limit),
+                browsers: topBy(matched, visit => visit.userAgent?.browser?.name, limit),
+                os: topBy(matched, visit => visit.userAgent?.os?.name, limit),
+                devices: topBy(matched, visit => visit.userAgent?.device?.type, limit),
+                referrers: topBy(matched, visit => visit.referrer, limit),
+                sources: topBy(matched, visit => visit.source, limit)
+            };
+            if (!key) {
+                result.links = topBy(matched, visit => ({ domain: visit.domain ?? null, shortened: visit.shortened }), limit);
+            }
+            return result;
+        },
+
+        async *iterate(key, criteria) {
+            const matched = linkVisits(key)
+                .filter(visit => matchesVisit(visit, criteria))
+                .sort((a, b) => compare(a.timestamp, b.timestamp));
+            for (const visit of matched) yield copy(visit);
+        },
+
+        async removeByIp(addresses) {
+            const removed = addresses.flatMap(address => tables.visits.group('ip', address));
+            for (const visit of removed) tables.visits.remove(visit._id);
+            return removed.map(({ _id, domain, shortened, timestamp, isBot }) => ({ _id, domain, shortened, timestamp, isBot }));
+        },
+
+        // Scans every visit - it runs once an hour
+        async removeBefore(cutoff) {
+            const expired = [...tables.visits.all()].filter(visit => visit.timestamp < cutoff);
+            for (const visit of expired) tables.visits.remove(visit._id);
+            return expired.length;
+        }
+    };
+
+    function linkRollups(key) {
+        return key ? tables.visitRollups.group('link', keyString(key.domain, key.shortened)) : [...tables.visitRollups.all()];
+    }
+
+    const rollups = {
+        async add(increments) {
+            for (const { key, granularity, bucket, total, humans, bots } of increments) {
+                const current = tables.visitRollups.find('bucket', `${keyString(key.domain, key.shortened)}|${granularity}|${time(bucket)}`);
+                if (current) {
+                    change(tables.visitRollups, current, {
+                        total: current.total + total,
+                        humans: current.humans + humans,
+                        bots: current.bots + bots
+                    });
+                } else if (total > 0) {
+                    insert(tables.visitRollups, { ...key, granularity, bucket, total, humans, bots });
+                }
+            }
+        },
+
+        async series(key, { start, to, granularity }) {
+            const buckets = new Map();
+            for (const rollup of linkRollups(key)) {
+                if (rollup.granularity !== granularity || rollup.bucket < start || rollup.bucket > to) continue;
+                const row = buckets.get(time(rollup.bucket)) || { bucket: rollup.bucket, total: 0, humans: 0 };
+                row.total += rollup.total;
+                row.humans += rollup.humans;
+                buckets.set(time(rollup.bucket), row);
+            }
+            return [...buckets.values()];
+        },
+
+        async totals(key) {
+            const totals = { total: 0, humans: 0, bots: 0 };
+            for (const rollup of linkRollups(key)) {
+                if (rollup.granularity !== 'day') continue;
+                totals.total += rollup.total;
+                totals.humans += rollup.humans;
+                totals.bots += rollup.bots;
+            }
+            return totals;
+        }
+    };
+
+    function linkHistory(key) {
+        return tables.linkHistory.group('link', keyString(key.domain, key.shortened)).sort((a, b) => b.version - a.version);
+    }
+
+    const history = {
+        // Versions are allocated and stored in one synchronous step, so they never collide
+        async append(key, entry) {
+            const [latest] = linkHistory(key);
+            return insert(tables.linkHistory, { ...entry, ...key, version: latest ? latest.version + 1 : 1 });
+        },
+
+        list: async (key) => linkHistory(key).map(entry => output(tables.linkHistory, entry)),
+        get: async (key, version) => output(tables.linkHistory, tables.linkHistory.find('version', `${keyString(key.domain, key.shortened)}|${version}`))
+    };
+
+    // Repository for a small table: list (sorted), get, create, update and remove by _id
+    function records(table, sortField, order = 1) {
+        return {
+            list: async () => [...table.all()]
+                .sort((a, b) => order * compare(a[sortField], b[sortField]))
+                .map(record => output(table, record)),
+            get: async (id) => output(table, table.get(id)),
+            create: async (fields) => insert(table, fields),
+
+            async update(id, changes) {
+                const current = table.get(id);
+                return current ? change(table, current, changes) : null;
+            },
+
+            async remove(id) {
+                return output(table, table.remove(id));
+            }
+        };
+    }
+
+    const normalizeName = (value) => String(value).trim().toLowerCase();
+
+    const apiKeyRecords = records(tables.apiKeys, 'createdAt', -1);
+    const apiKeys = {
+        list: apiKeyRecords.list,
+        create: apiKeyRecords.create,
+        findByHash: async (keyHash) => output(tables.apiKeys, tables.apiKeys.find('keyHash', keyHash)),
+        touch: (id) => apiKeyRecords.update(id, { lastUsedAt: new Date() }),
+
+        async revoke(id) {
+            const current = tables.apiKeys.get(id);
+            if (!current || current.revokedAt) return null;
+            return change(tables.apiKeys, current, { revokedAt: new Date() });
+        }
+    };
+
+    const users = {
+        ...records(tables.users, 'username'),
+        findByUsername: async (username) => output(tables.users, tables.users.find('username', normalizeName(username)))
+    };
+
+    const domains = {
+        ...records(tables.domains, 'hostname'),
+        findByHostname: async (hostname) => output(tables.domains, tables.domains.find('hostname', normalizeName(hostname))),
+        hostnames: async () => [...tables.domains.all()].map(domain => domain.hostname)
+    };
+
+    const webhooks = {
+        ...records(tables.webhooks, 'createdAt', -1),
+
+        async subscribedTo(event, shortened) {
+            return [...tables.webhooks.all()]
+                .filter(webhook => webhook.enabled && webhook.events.includes(event))
+                .filter(webhook => webhook.shortCodes.length === 0 || webhook.shortCodes.includes(shortened))
+                .map(webhook => output(tables.webhooks, webhook));
+        }
+    };
+
+    function scrubVisits(matches) {
+        for (const delivery of [...tables.webhookDeliveries.all()]) {
+            if (delivery.payload?.visit && matches(delivery)) {
+                change(tables.webhookDeliveries, delivery, { payload: { ...delivery.payload, visit: null } });
+            }
+        }
+    }
+
+    const deliveries = {
+        async add(list) {
+            for (const delivery of list) insert(tables.webhookDeliveries, delivery);
+        },
+
+        save: async (delivery) => save(tables.webhookDeliveries, delivery),
+
+        // The log is kept in insertion order, which is createdAt order
+        async recent(limit) {
+            return [...tables.webhookDeliveries.all()].slice(-limit).reverse().map(delivery => output(tables.webhookDeliveries, delivery));
+        },
+
+        async claimDue(now, leaseUntil) {
+            const [due] = tables.webhookDeliveries.group('status', 'pending')
+                .filter(delivery => delivery.nextAttemptAt <= now)
+                .sort((a, b) => compare(a.nextAttemptAt, b.nextAttemptAt));
+            return due ? change(tables.webhookDeliveries, due, { nextAttemptAt: leaseUntil }) : null;
+        },
+
+        async retry(id) {
+            const current = tables.webhookDeliveries.get(id);
+            if (!current || current.status !== 'failed') return null;
+            return change(tables.webhookDeliveries, current, { status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+        },
+
+        async failPending(webhookId, message) {
+            for (const delivery of tables.webhookDeliveries.group('status', 'pending')) {
+                if (String(delivery.webhook) === String(webhookId)) {
+                    change(tables.webhookDeliveries, delivery, { status: 'failed', lastError: message });
+                }
+            }
+        },
+
+        // Both scan the delivery log - they run on erasure requests and once an hour
+        async scrubVisitsByIp(addresses) {
+            scrubVisits(delivery => addresses.includes(delivery.payload.visit.ipAddress));
+        },
+
+        async scrubVisitsBefore(cutoff) {
+            scrubVisits(delivery => delivery.createdAt < cutoff);
+        }
+    };
+
+    // Drop deliveries past the log's TTL (MongoDB does this with a TTL index)
+    function pruneDeliveryLog() {
+        const cutoff = Date.now() - DELIVERY_LOG_MS;
+        for (const delivery of [...tables.webhookDeliveries.all()]) {
+            if (time(delivery.createdAt) <= cutoff) tables.webhookDeliveries.remove(delivery._id);
+        }
+    }
+
+    function snapshot() {
+        return {
+            version: 2,
+            collections: Object.fromEntries(Object.entries(tables).map(([name, table]) => [name, [...table.all()]]))
+        };
+    }
+
+    return {
+        name: 'file',
+        links,
+        visits,
+        rollups,
+        history,
+        apiKeys,
+        users,
+        domains,
+        webhooks,
+        deliveries,
+
+        // Load the snapshot and journal. Saved records go through their model again, which casts
+        // the JSON strings back to dates and ObjectIds.
+        async connect() {
+            if (!journal.persistent) return;
+            const saved = journal.read();
+            for (const [name, table] of Object.entries(tables)) {
+                for (const raw of saved[name] || []) table.load(toRecord(table.Model.hydrate(raw)));
+            }
+            journal.start(snapshot);
+            logger.info(`Using storage file ${file}`);
+        },
+
+        async prepare() {
+            pruneDeliveryLog();
+        },
+
+        // The file backend never held embedded Tracking visits
+        migrateLegacyVisits: async () => [],
+
+        // Write pending changes to the journal now
+        flush: () => journal.flush(),
+
+        async close() {
+            pruneDeliveryLog();
+            await journal.compact();
+        }
+    };
+}
+
+module.exports = { createFileStorage };
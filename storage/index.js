@@ -0,0 +1,51 @@
+// Storage: the repositories routes and workers reach the database through. Each backend offers
+// the same methods with the same results - Mongoose documents (saved with the repository's own
+// save/update methods, never doc.save()) unless noted. `key` is a link key { domain, shortened }.
+//   mongodb - the Mongoose models on MONGO_URI
+//   file    - an embedded store held in memory and journaled to a file, for a single box with no
+//             database service and for offline tests (':memory:' keeps nothing on disk)
+//
+// links
+//   get(key), count(), tags(), countByDomain() -> { hostname: count }
+//   list(criteria, { sort, order, limit, after: { value, id } }) -> { links, hasMore, totals }
+//       criteria: search, tags, owner, domain, health (null = unchecked), createdFrom, createdTo
+//   iterate() - plain objects, oldest first
+//   create(key, fields) - rejects with code 11000 if the key is taken
+//   upsert(key, changes, onInsert) / update(key, changes) -> { link, previous } (update: null if missing)
+//   save(link) - writes the top-level fields changed on a loaded link
+//   remove(key), addVisits([{ id, count }]), assignOwner(owner) - for links without one
+//   claimExpiryNotice(id), expiredUnnotified(now, limit)
+//   dueForHealthCheck({ checkedBefore, now, limit }), claimHealthCheck(id, checkedAt), setHealth(id, health)
+// visits
+//   add(visits), page(key, { skip, limit }) - newest first
+//   countBy(key, fields) -> [{ ...values, clicks, humans }] for visits with the first field set
+//   breakdowns(key | null, { from, to, includeBots, limit }) -> totals and top [{ value, count }] lists
+//   iterate(key, { from, to, bots, country }) - plain objects, oldest first
+//   removeByIp(addresses) -> the removed visits, removeBefore(cutoff) -> count
+// rollups
+//   add([{ key, granularity, bucket, total, humans, bots }]) - negative amounts only touch existing buckets
+//   series(key | null, { start, to, granularity }) -> [{ bucket, total, humans }], totals(key)
+// history
+//   append(key, entry) - the backend numbers the version; list(key) - newest first; get(key, version)
+// apiKeys: list, create, findByHash, touch(id), revoke(id) - null if already revoked
+// users: list, get, findByUsername, create, update(id, changes), remove
+// domains: list, get, findByHostname, hostnames, create, update(id, changes), remove
+// webhooks: list, get, create, update(id, changes), remove, subscribedTo(event, shortened)
+// deliveries
+//   add(deliveries), save(delivery), recent(limit), claimDue(now, leaseUntil), retry(id)
+//   failPending(webhookId, message), scrubVisitsByIp(addresses), scrubVisitsBefore(cutoff)
+//
+// connect() rejects when the store cannot be opened; prepare() runs once connected;
+// migrateLegacyVisits() -> [{ key, count }]; close() writes everything still pending.
+const { createMongoStorage } = require('./mongodb');
+const { createFileStorage } = require('./file');
+
+const STORAGE_BACKENDS = ['mongodb', 'file'];
+
+function createStorage(backend, { mongoUri, file, logger }) {
+    return backend === 'file'
+        ? createFileStorage({ file, logger })
+        : createMongoStorage({ uri: mongoUri, logger });
+}
+
+module.exports = { STORAGE_BACKENDS, createStorage };
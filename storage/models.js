@@ -0,0 +1,394 @@
+// Mongoose schemas and models. Both storage backends use them: the mongodb backend stores
+// them as they are, the file backend uses them to cast, default and validate its records.
+const mongoose = require('mongoose');
+
+// Visitor attributes and comparisons available to conditional routing rules
+const RULE_FIELDS = ['device', 'os', 'browser', 'country', 'language'];
+const RULE_OPERATORS = ['equals', 'startsWith', 'contains'];
+
+const routingRuleSchema = new mongoose.Schema({
+    field: { type: String, enum: RULE_FIELDS, required: true },
+    operator: { type: String, enum: RULE_OPERATORS, default: 'equals' },
+    value: { type: String, required: true },
+    targetUrl: { type: String, required: true },
+}, { _id: false });
+
+// A/B rotation destination - picked per visit in proportion to its weight
+const variantSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    targetUrl: { type: String, required: true },
+    weight: { type: Number, default: 1, min: 0 },
+}, { _id: false });
+
+// Scheduled destination - used instead of the link's destination from startsAt until endsAt
+const scheduleEntrySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    startsAt: { type: Date, default: null }, // null - active until endsAt
+    endsAt: { type: Date, default: null }, // null - active from startsAt on
+    targetUrl: { type: String, required: true },
+}, { _id: false });
+
+// Platform deep links - mobile visitors are offered the app, falling back to its store page or the
+// link's regular (web) destination. Desktop visitors and bots always get the web destination.
+const DEEP_LINK_PLATFORMS = ['ios', 'android'];
+const DEEP_LINK_PATHS = ['app', 'store', 'web']; // How a visit was routed - stored on the visit
+
+const deepLinksSchema = new mongoose.Schema({
+    iosUrl: { type: String, default: null }, // Custom scheme (myapp://...) or universal link
+    iosStoreUrl: { type: String, default: null },
+    androidUrl: { type: String, default: null }, // intent://, custom scheme or app link
+    androidStoreUrl: { type: String, default: null },
+}, { _id: false });
+
+// Default UTM parameters merged into the destination URL at redirect time
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const QUERY_PRECEDENCES = ['target', 'request'];
+
+const utmSchema = new mongoose.Schema(
+    Object.fromEntries(UTM_FIELDS.map(field => [field, { type: String, default: null, trim: true }])),
+    { _id: false }
+);
+
+// Social preview card (Open Graph / Twitter card) served to link preview crawlers instead of the redirect
+const PREVIEW_FIELDS = { title: 200, description: 500, image: 2048 }; // Max lengths
+
+const linkPreviewSchema = new mongoose.Schema({
+    title: { type: String, default: null, trim: true },
+    description: { type: String, default: null, trim: true },
+    image: { type: String, default: null }, // Absolute http(s) URL
+}, { _id: false });
+
+// Result of the most recent health check of a link's destinations. The top-level fields describe
+// the worst one, so a broken variant or scheduled page flags the whole link.
+const HEALTH_STATES = ['healthy', 'redirected', 'failing'];
+
+const destinationHealthSchema = new mongoose.Schema({
+    source: { type: String, required: true }, // target, rule 1, variant <name>, schedule <name>, deepLinks.<field>
+    url: { type: String, required: true },
+    state: { type: String, enum: HEALTH_STATES, required: true },
+    statusCode: { type: Number, default: null },
+    finalUrl: { type: String, default: null },
+    error: { type: String, default: null },
+}, { _id: false });
+
+const linkHealthSchema = new mongoose.Schema({
+    state: { type: String, enum: HEALTH_STATES, default: null }, // null until the first check
+    statusCode: { type: Number, default: null },
+    finalUrl: { type: String, default: null }, // URL reached after following redirects
+    latencyMs: { type: Number, default: null },
+    method: { type: String, default: null }, // HEAD, or GET when HEAD was refused
+    error: { type: String, default: null },
+    checkedUrl: { type: String, default: null }, // targetUrl at check time - a changed target is re-checked
+    checkedAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+    destinations: { type: [destinationHealthSchema], default: [] }, // Every web destination checked
+}, { _id: false });
+
+const linkSchema = new mongoose.Schema({
+    shortened: { type: String, required: true },
+    domain: { type: String, default: null, lowercase: true }, // Custom domain hostname - null for DOMAIN_URL
+    targetUrl: { type: String, required: true },
+    visitCount: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+
+    // Optional labels for finding links in the dashboard and API
+    title: { type: String, default: null, trim: true, maxlength: 200 },
+    notes: { type: String, default: null, maxlength: 2000 },
+    tags: { type: [String], default: [], index: true },
+
+    // Expiry settings - a link stops redirecting once either limit is reached
+    expiresAt: { type: Date, default: null },
+    maxVisits: { type: Number, default: null, min: 1 },
+    expiredNotifiedAt: { type: Date, default: null }, // Set once the link.expired webhook event has been sent
+
+    // Optional access password (salted scrypt hash) - visitors must unlock the link first
+    accessPasswordHash: { type: String, default: null },
+
+    // Ordered routing rules - the first match wins, targetUrl is the fallback
+    rules: { type: [routingRuleSchema], default: [] },
+
+    // Weighted A/B rotation - used instead of targetUrl when no routing rule matches
+    variants: { type: [variantSchema], default: [] },
+    stickyVariants: { type: Boolean, default: false },
+
+    // Time-windowed destinations - the first active entry wins over variants and targetUrl
+    schedule: { type: [scheduleEntrySchema], default: [] },
+    scheduleTimezone: { type: String, default: 'UTC' }, // IANA zone schedule times are entered and shown in
+
+    // App deep links per mobile platform - see resolveDeepLink
+    deepLinks: { type: deepLinksSchema, default: () => ({}) },
+
+    // Query string handling on redirect - see buildRedirectUrl
+    utm: { type: utmSchema, default: () => ({}) },
+    forwardQuery: { type: Boolean, default: false }, // Pass /:shortened?x=y on to the destination
+    queryPrecedence: { type: String, enum: QUERY_PRECEDENCES, default: 'target' }, // Which side wins on a clash
+
+    // Title, description and image shown when the link is pasted into chat apps and social networks
+    preview: { type: linkPreviewSchema, default: () => ({}) },
+
+    // Show the destination preview page on every visit instead of redirecting straight away
+    alwaysPreview: { type: Boolean, default: false },
+
+    // Background target URL monitoring - see checkLinkHealth
+    health: { type: linkHealthSchema, default: () => ({}) },
+
+    // Username of the user the link belongs to (editors can only change their own links)
+    owner: { type: String, default: null, index: true },
+
+    // Who last changed the link through the API, bulk import or admin create form
+    updatedBy: { type: String, default: null },
+    updatedAt: { type: Date, default: null },
+}, {
+    toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+            delete ret.accessPasswordHash;
+            return ret;
+        }
+    }
+});
+
+// Short codes are unique per domain
+linkSchema.index({ domain: 1, shortened: 1 }, { unique: true });
+
+linkSchema.virtual('isExpired').get(function () {
+    if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return true;
+    if (this.maxVisits != null && (this.visitCount || 0) >= this.maxVisits) return true;
+    return false;
+});
+
+linkSchema.virtual('isProtected').get(function () {
+    return Boolean(this.accessPasswordHash);
+});
+
+linkSchema.virtual('remainingVisits').get(function () {
+    if (this.maxVisits == null) return null;
+    return Math.max(this.maxVisits - (this.visitCount || 0), 0);
+});
+
+const Link = mongoose.model('Link', linkSchema);
+
+// Fields recorded for every visit
+const visitFields = {
+    visitNumber: { type: Number, required: true },
+    timestamp: { type: Date, default: Date.now },
+
+    // IP and Geographic data
+    ipAddress: { type: String, required: true },
+    geographic: {
+        country: String,
+        region: String,
+        city: String,
+        timezone: String,
+        coordinates: [Number], // [lat, lng]
+    },
+
+    // User Agent details
+    userAgent: {
+        complete: String,
+        parsedUA: String,
+        browser: {
+            name: String,
+            version: String
+        },
+        os: {
+            name: String,
+            version: String
+        },
+        device: {
+            type: { type: String },
+            model: String
+        },
+        engine: {
+            name: String,
+            version: String
+        },
+        cpu: {
+            architecture: String
+        }
+    },
+
+    // Additional tracking info
+    isBot: { type: Boolean, default: false },
+    referrer: { type: String, default: 'Direct' },
+
+    // Additional request details
+    acceptLanguage: String,
+    acceptEncoding: String,
+
+    // Routing outcome - the rule that matched (null for the default target) and where the visitor was sent
+    matchedRule: { type: String, default: null },
+    variant: { type: String, default: null },
+    scheduleEntry: { type: String, default: null }, // Name of the schedule entry that served the visit
+    destinationUrl: String,
+
+    // How the visitor arrived - 'qr' for scans of a QR code generated with tracking on
+    source: { type: String, default: null },
+
+    // Deep link outcome - the visitor's mobile platform and whether they were offered the app, sent to
+    // the store or to the web destination (null for links without deep links)
+    platform: { type: String, enum: [...DEEP_LINK_PLATFORMS, null], default: null },
+    deepLinkPath: { type: String, enum: [...DEEP_LINK_PATHS, null], default: null },
+};
+
+// Tracking schema - one document per shortened link
+const trackingSchema = new mongoose.Schema({
+    shortened: { type: String, required: true },
+    domain: { type: String, default: null },
+    targetUrl: { type: String, required: true },
+
+    // Legacy embedded visit records - moved into the Visit collection by migrateLegacyVisits()
+    visits: [visitFields]
+});
+trackingSchema.index({ domain: 1, shortened: 1 }, { unique: true });
+
+// Force recreation of model to ensure schema is applied correctly
+delete mongoose.models.Tracking;
+const Tracking = mongoose.model('Tracking', trackingSchema);
+
+// Visit store - one document per click, so a link's history is never bound by a single document's size
+const visitSchema = new mongoose.Schema({
+    shortened: { type: String, required: true },
+    domain: { type: String, default: null },
+    ...visitFields,
+
+    // _id of the embedded Tracking visit this record was migrated from
+    legacyId: { type: mongoose.Schema.Types.ObjectId, default: undefined },
+});
+visitSchema.index({ domain: 1, shortened: 1, timestamp: -1 });
+visitSchema.index({ legacyId: 1 }, { unique: true, sparse: true });
+visitSchema.index({ timestamp: 1 }); // Retention purge
+visitSchema.index({ ipAddress: 1 }); // Erasure by IP
+const Visit = mongoose.model('Visit', visitSchema);
+
+// Pre-aggregated visit counters per link and hour/day bucket (UTC)
+const ROLLUP_GRANULARITIES = ['hour', 'day'];
+
+const visitRollupSchema = new mongoose.Schema({
+    shortened: { type: String, required: true },
+    domain: { type: String, default: null },
+    granularity: { type: String, enum: ROLLUP_GRANULARITIES, required: true },
+    bucket: { type: Date, required: true },
+    total: { type: Number, default: 0 },
+    humans: { type: Number, default: 0 },
+    bots: { type: Number, default: 0 },
+});
+visitRollupSchema.index({ domain: 1, shortened: 1, granularity: 1, bucket: 1 }, { unique: true });
+const VisitRollup = mongoose.model('VisitRollup', visitRollupSchema);
+
+// Target URL history - one document per change, numbered per short code and domain
+const linkHistorySchema = new mongoose.Schema({
+    shortened: { type: String, required: true, index: true },
+    domain: { type: String, default: null },
+    version: { type: Number, required: true },
+    oldTargetUrl: { type: String, default: null }, // null when the link was created
+    newTargetUrl: { type: String, required: true },
+    source: { type: String, enum: ['admin', 'api'], required: true },
+    actor: { type: String, default: null },
+    note: { type: String, default: null },
+    changedAt: { type: Date, default: Date.now },
+});
+linkHistorySchema.index({ domain: 1, shortened: 1, version: -1 }, { unique: true });
+const LinkHistory = mongoose.model('LinkHistory', linkHistorySchema);
+
+// API keys - only a SHA-256 hash of each key is stored, the key itself is shown once on creation
+const API_KEY_SCOPES = ['links:read', 'links:write', 'analytics', 'privacy'];
+
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    prefix: { type: String, required: true }, // First characters of the key, shown in the admin UI
+    keyHash: { type: String, required: true, unique: true },
+    scopes: { type: [{ type: String, enum: API_KEY_SCOPES }], default: [] },
+    rateLimit: { type: Number, default: null, min: 1 }, // Requests per 15 minutes, null uses the default
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    createdBy: { type: String, default: null }, // Links created with the key are owned by this user
+    createdAt: { type: Date, default: Date.now },
+});
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+// Webhook subscriptions and their delivery log
+const WEBHOOK_EVENTS = ['link.clicked', 'link.created', 'link.updated', 'link.deleted', 'link.expired', 'link.unhealthy'];
+const WEBHOOK_TYPES = ['webhook', 'ntfy'];
+
+const webhookSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: WEBHOOK_TYPES, default: 'webhook' },
+    url: { type: String, required: true }, // Receiver URL, or the ntfy topic URL for ntfy destinations
+    secret: { type: String, required: true }, // HMAC-SHA256 key for the signature header
+    events: { type: [{ type: String, enum: WEBHOOK_EVENTS }], default: [] },
+    shortCodes: { type: [String], default: [] }, // Only these links - empty means every link
+    sampleRate: { type: Number, default: 1, min: 0, max: 1 }, // Share of link.clicked events that are sent
+    includeBots: { type: Boolean, default: true }, // Send link.clicked for bot visits too
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    shortened: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    responseStatus: { type: Number, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }, // Keep the log for 30 days
+});
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Dashboard users - ADMIN_PASSWORD still signs in as the built-in superadmin
+const USER_ROLES = ['viewer', 'editor', 'admin']; // Ordered from least to most access
+
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: USER_ROLES, default: 'viewer' },
+    createdAt: { type: Date, default: Date.now },
+    lastLoginAt: { type: Date, default: null },
+});
+const User = mongoose.model('User', userSchema);
+
+// Custom domains served next to DOMAIN_URL - each has its own short code namespace
+const domainSchema = new mongoose.Schema({
+    hostname: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    rootUrl: { type: String, default: null }, // Where "/" redirects - null shows the default home page
+    notFoundUrl: { type: String, default: null }, // Where unknown short codes redirect - null shows 404.html
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+const Domain = mongoose.model('Domain', domainSchema);
+
+module.exports = {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    DEEP_LINK_PLATFORMS,
+    DEEP_LINK_PATHS,
+    UTM_FIELDS,
+    QUERY_PRECEDENCES,
+    PREVIEW_FIELDS,
+    HEALTH_STATES,
+    ROLLUP_GRANULARITIES,
+    API_KEY_SCOPES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_TYPES,
+    USER_ROLES,
+    Link,
+    Tracking,
+    Visit,
+    VisitRollup,
+    LinkHistory,
+    ApiKey,
+    Webhook,
+    WebhookDelivery,
+    User,
+    Domain
+};
@@ -0,0 +1,491 @@
+// MongoDB backend - the repositories (see index.js) on top of the Mongoose models
+const mongoose = require('mongoose');
+const {
+    ROLLUP_GRANULARITIES,
+    Link,
+    Tracking,
+    Visit,
+    VisitRollup,
+    LinkHistory,
+    ApiKey,
+    Webhook,
+    WebhookDelivery,
+    User,
+    Domain
+} = require('./models');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Filter for the link listing criteria
+function linkCriteriaFilter({ search, tags, owner, domain, health, createdFrom, createdTo }) {
+    const conditions = [];
+    if (search) {
+        const pattern = new RegExp(escapeRegExp(search), 'i');
+        conditions.push({
+            $or: [
+                { shortened: pattern },
+                { targetUrl: pattern },
+                { title: pattern },
+                { tags: search.toLowerCase() }
+            ]
+        });
+    }
+    if (tags?.length > 0) conditions.push({ tags: { $all: tags } });
+    if (owner !== undefined) conditions.push({ owner });
+    if (domain !== undefined) conditions.push({ domain });
+    if (health !== undefined) conditions.push({ 'health.state': health });
+    if (createdFrom) conditions.push({ createdAt: { $gte: createdFrom } });
+    if (createdTo) conditions.push({ createdAt: { $lte: createdTo } });
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+// Links that sort after the cursor position (ties broken by _id; missing values sort lowest)
+function linkCursorFilter(sortField, direction, { value, id }) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] }
+            : { [sortField]: null, _id: { $lt: id } };
+    }
+    const after = [
+        { [sortField]: { [operator]: value } },
+        { [sortField]: value, _id: { [operator]: id } }
+    ];
+    if (direction === -1) after.push({ [sortField]: null });
+    return { $or: after };
+}
+
+// Filter for the visit export criteria
+function visitCriteriaFilter(key, { from, to, bots = 'include', country } = {}) {
+    const filter = { ...key };
+    if (bots === 'exclude') filter.isBot = { $ne: true };
+    if (bots === 'only') filter.isBot = true;
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) filter.timestamp.$lte = to;
+    }
+    if (country) filter['geographic.country'] = country;
+    return filter;
+}
+
+const linkRepository = {
+    get: (key) => Link.findOne(key),
+
+    async list(criteria, { sort, order, limit, after }) {
+        const direction = order === 'asc' ? 1 : -1;
+        const filter = linkCriteriaFilter(criteria);
+        const pageFilter = after ? { $and: [filter, linkCursorFilter(sort, direction, after)] } : filter;
+
+        const [links, [totals]] = await Promise.all([
+            Link.find(pageFilter).sort({ [sort]: direction, _id: direction }).limit(limit + 1),
+            Link.aggregate([
+                { $match: filter },
+                {
+                    $group: {
+                        _id: null,
+                        links: { $sum: 1 },
+                        visits: { $sum: '$visitCount' },
+                        active: { $sum: { $cond: [{ $gt: ['$visitCount', 0] }, 1, 0] } },
+                        broken: { $sum: { $cond: [{ $eq: ['$health.state', 'failing'] }, 1, 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        return {
+            links: links.slice(0, limit),
+            hasMore: links.length > limit,
+            totals: {
+                links: totals?.links || 0,
+                visits: totals?.visits || 0,
+                active: totals?.active || 0,
+                broken: totals?.broken || 0
+            }
+        };
+    },
+
+    tags: () => Link.distinct('tags'),
+    count: () => Link.countDocuments(),
+
+    async countByDomain() {
+        const rows = await Link.aggregate([
+            { $match: { domain: { $ne: null } } },
+            { $group: { _id: '$domain', count: { $sum: 1 } } }
+        ]);
+        return Object.fromEntries(rows.map(row => [row._id, row.count]));
+    },
+
+    async *iterate() {
+        const cursor = Link.find().sort({ createdAt: 1 }).lean().cursor({ batchSize: 500 });
+        try {
+            for await (const link of cursor) yield link;
+        } finally {
+            await cursor.close();
+        }
+    },
+
+    create: (key, fields) => Link.create({ ...fields, ...key }),
+
+    async upsert(key, changes, onInsert = {}) {
+        const previous = await Link.findOneAndUpdate(key, { $set: changes, $setOnInsert: onInsert }, { upsert: true, new: false });
+        return { previous, link: await Link.findOne(key) };
+    },
+
+    async update(key, changes) {
+        const previous = await Link.findOneAndUpdate(key, { $set: changes }, { new: false });
+        if (!previous) return null;
+        return { previous, link: await Link.findOne({ _id: previous._id }) };
+    },
+
+    save: (link) => link.save(),
+    remove: (key) => Link.findOneAndDelete(key),
+
+    async addVisits(counts) {
+        if (counts.length === 0) return;
+        await Link.bulkWrite(counts.map(({ id, count }) => ({
+            updateOne: { filter: { _id: id }, update: { $inc: { visitCount: count } } }
+        })));
+    },
+
+    claimExpiryNotice: (id) => Link.findOneAndUpdate(
+        { _id: id, expiredNotifiedAt: null },
+        { $set: { expiredNotifiedAt: new Date() } },
+        { new: true }
+    ),
+
+    expiredUnnotified: (now, limit) => Link.find({ expiresAt: { $lte: now }, expiredNotifiedAt: null }).limit(limit),
+
+    dueForHealthCheck: ({ checkedBefore, now, limit }) => Link.find({
+        $and: [
+            {
+                $or: [
+                    { 'health.checkedAt': null },
+                    { 'health.checkedAt': { $lte: checkedBefore } },
+                    { $expr: { $ne: ['$health.checkedUrl', '$targetUrl'] } }
+                ]
+            },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+        ]
+    }).sort({ 'health.checkedAt': 1 }).limit(limit),
+
+    claimHealthCheck: (id, checkedAt) => Link.findOneAndUpdate(
+        { _id: id, 'health.checkedAt': checkedAt ?? null },
+        { $set: { 'health.checkedAt': new Date() } }
+    ),
+
+    setHealth: (id, health) => Link.findOneAndUpdate({ _id: id }, { $set: { health } }, { new: true }),
+
+    async assignOwner(owner) {
+        const result = await Link.updateMany({ owner: null }, { $set: { owner } });
+        return result.modifiedCount;
+    }
+};
+
+// Top values of a field among the matched visits
+function topBy(field, limit) {
+    return [
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: limit }
+    ];
+}
+
+const visitRepository = {
+    async add(visits) {
+        if (visits.length > 0) await Visit.insertMany(visits, { ordered: false });
+    },
+
+    page: (key, { skip, limit }) => Visit.find(key).sort({ timestamp: -1 }).skip(skip).limit(limit),
+
+    async countBy(key, fields) {
+        const groups = await Visit.aggregate([
+            { $match: { ...key, [fields[0]]: { $ne: null } } },
+            {
+                $group: {
+                    _id: Object.fromEntries(fields.map(field => [field, `$${field}`])),
+                    clicks: { $sum: 1 },
+                    humans: { $sum: { $cond: ['$isBot', 0, 1] } }
+                }
+            }
+        ]);
+        return groups.map(group => ({ ...group._id, clicks: group.clicks, humans: group.humans }));
+    },
+
+    async breakdowns(key, { from, to, includeBots, limit }) {
+        const match = { timestamp: { $gte: from, $lte: to }, ...key };
+        if (!includeBots) match.isBot = { $ne: true };
+
+        const facets = {
+            totals: [{ $group: { _id: null, visits: { $sum: 1 }, bots: { $sum: { $cond: ['$isBot', 1, 0] } } } }],
+            uniqueVisitors: [{ $group: { _id: '$ipAddress' } }, { $count: 'count' }],
+            countries: topBy('$geographic.country', limit),
+            cities: topBy({ city: '$geographic.city', country: '$geographic.country' }, limit),
+            browsers: topBy('$userAgent.browser.name', limit),
+            os: topBy('$userAgent.os.name', limit),
+            devices: topBy('$userAgent.device.type', limit),
+            referrers: topBy('$referrer', limit),
+            sources: topBy('$source', limit)
+        };
+        if (!key) {
+            facets.links = topBy({ domain: { $ifNull: ['$domain', null] }, shortened: '$shortened' }, limit);
+        }
+
+        const [result] = await Visit.aggregate([{ $match: match }, { $facet: facets }]).allowDiskUse(true);
+        const groups = {};
+        for (const name of Object.keys(facets).filter(name => !['totals', 'uniqueVisitors'].includes(name))) {
+            groups[name] = result[name].map(row => ({ value: row._id ?? null, count: row.count }));
+        }
+        return {
+            visits: result.totals[0]?.visits || 0,
+            bots: result.totals[0]?.bots || 0,
+            uniqueVisitors: result.uniqueVisitors[0]?.count || 0,
+            ...groups
+        };
+    },
+
+    async *iterate(key, criteria) {
+        const cursor = Visit.find(visitCriteriaFilter(key, criteria)).sort({ timestamp: 1 }).lean().cursor({ batchSize: 500 });
+        try {
+            for await (const visit of cursor) yield visit;
+        } finally {
+            await cursor.close();
+        }
+    },
+
+    async removeByIp(addresses) {
+        const visits = await Visit.find({ ipAddress: { $in: addresses } }, { domain: 1, shortened: 1, timestamp: 1, isBot: 1 }).lean();
+        if (visits.length > 0) {
+            await Visit.deleteMany({ _id: { $in: visits.map(visit => visit._id) } });
+        }
+        return visits;
+    },
+
+    async removeBefore(cutoff) {
+        const { deletedCount } = await Visit.deleteMany({ timestamp: { $lt: cutoff } });
+        return deletedCount;
+    }
+};
+
+const rollupRepository = {
+    async add(increments) {
+        if (increments.length === 0) return;
+        await VisitRollup.bulkWrite(increments.map(({ key, granularity, bucket, total, humans, bots }) => ({
+            updateOne: {
+                filter: { ...key, granularity, bucket },
+                update: { $inc: { total, humans, bots } },
+                upsert: total > 0 // Negative amounts (erased visits) never create a bucket
+            }
+        })));
+    },
+
+    async series(key, { start, to, granularity }) {
+        const rows = await VisitRollup.aggregate([
+            { $match: { granularity, bucket: { $gte: start, $lte: to }, ...key } },
+            { $group: { _id: '$bucket', total: { $sum: '$total' }, humans: { $sum: '$humans' } } }
+        ]);
+        return rows.map(row => ({ bucket: row._id, total: row.total, humans: row.humans }));
+    },
+
+    async totals(key) {
+        const [totals] = await VisitRollup.aggregate([
+            { $match: { ...key, granularity: 'day' } },
+            { $group: { _id: null, total: { $sum: '$total' }, humans: { $sum: '$humans' }, bots: { $sum: '$bots' } } }
+        ]);
+        return { total: totals?.total || 0, humans: totals?.humans || 0, bots: totals?.bots || 0 };
+    }
+};
+
+// Recompute a link's rollups from the visits stored for it
+async function rebuildRollups(key) {
+    for (const granularity of ROLLUP_GRANULARITIES) {
+        const buckets = await Visit.aggregate([
+            { $match: key },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: '$timestamp', unit: granularity } },
+                    total: { $sum: 1 },
+                    bots: { $sum: { $cond: ['$isBot', 1, 0] } }
+                }
+            }
+        ]);
+        if (buckets.length === 0) continue;
+
+        await VisitRollup.bulkWrite(buckets.map(bucket => ({
+            updateOne: {
+                filter: { ...key, granularity, bucket: bucket._id },
+                update: { $set: { total: bucket.total, humans: bucket.total - bucket.bots, bots: bucket.bots } },
+                upsert: true
+            }
+        })));
+    }
+}
+
+// Concurrent retargets can read the same latest version; the unique (domain, shortened, version)
+// index rejects all but one of them, so the others take the next free number and try again
+const HISTORY_APPEND_ATTEMPTS = 10;
+
+const historyRepository = {
+    async append(key, entry) {
+        for (let attempt = 1; ; attempt++) {
+            const latest = await LinkHistory.findOne(key).sort({ version: -1 });
+            try {
+                return await LinkHistory.create({ ...entry, ...key, version: latest ? latest.version + 1 : 1 });
+            } catch (error) {
+                if (error.code !== 11000 || attempt === HISTORY_APPEND_ATTEMPTS) throw error;
+            }
+        }
+    },
+
+    list: (key) => LinkHistory.find(key).sort({ version: -1 }),
+    get: (key, version) => LinkHistory.findOne({ ...key, version })
+};
+
+const apiKeyRepository = {
+    list: () => ApiKey.find().sort({ createdAt: -1 }),
+    create: (fields) => ApiKey.create(fields),
+    findByHash: (keyHash) => ApiKey.findOne({ keyHash }),
+    touch: (id) => ApiKey.updateOne({ _id: id }, { $set: { lastUsedAt: new Date() } }),
+    revoke: (id) => ApiKey.findOneAndUpdate({ _id: id, revokedAt: null }, { $set: { revokedAt: new Date() } }, { new: true })
+};
+
+const userRepository = {
+    list: () => User.find().sort({ username: 1 }),
+    get: (id) => User.findOne({ _id: id }),
+    findByUsername: (username) => User.findOne({ username }),
+    create: (fields) => User.create(fields),
+    update: (id, changes) => User.findOneAndUpdate({ _id: id }, { $set: changes }, { new: true }),
+    remove: (id) => User.findOneAndDelete({ _id: id })
+};
+
+const domainRepository = {
+    list: () => Domain.find().sort({ hostname: 1 }),
+    get: (id) => Domain.findOne({ _id: id }),
+    findByHostname: (hostname) => Domain.findOne({ hostname }),
+    hostnames: () => Domain.distinct('hostname'),
+    create: (fields) => Domain.create(fields),
+    update: (id, changes) => Domain.findOneAndUpdate({ _id: id }, { $set: changes }, { new: true }),
+    remove: (id) => Domain.findOneAndDelete({ _id: id })
+};
+
+const webhookRepository = {
+    list: () => Webhook.find().sort({ createdAt: -1 }),
+    get: (id) => Webhook.findOne({ _id: id }),
+    create: (fields) => Webhook.create(fields),
+    update: (id, changes) => Webhook.findOneAndUpdate({ _id: id }, { $set: changes }, { new: true }),
+    remove: (id) => Webhook.findOneAndDelete({ _id: id }),
+
+    subscribedTo: (event, shortened) => Webhook.find({
+        enabled: true,
+        events: event,
+        $or: [{ shortCodes: { $size: 0 } }, { shortCodes: shortened }]
+    })
+};
+
+const deliveryRepository = {
+    async add(deliveries) {
+        if (deliveries.length > 0) await WebhookDelivery.insertMany(deliveries, { ordered: false });
+    },
+
+    save: (delivery) => delivery.save(),
+    recent: (limit) => WebhookDelivery.find().sort({ createdAt: -1 }).limit(limit),
+
+    claimDue: (now, leaseUntil) => WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: leaseUntil } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    ),
+
+    retry: (id) => WebhookDelivery.findOneAndUpdate(
+        { _id: id, status: 'failed' },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+        { new: true }
+    ),
+
+    failPending: (webhookId, message) => WebhookDelivery.updateMany(
+        { webhook: webhookId, status: 'pending' },
+        { $set: { status: 'failed', lastError: message } }
+    ),
+
+    scrubVisitsByIp: (addresses) => WebhookDelivery.updateMany(
+        { 'payload.visit.ipAddress': { $in: addresses } },
+        { $set: { 'payload.visit': null } }
+    ),
+
+    scrubVisitsBefore: (cutoff) => WebhookDelivery.updateMany(
+        { createdAt: { $lt: cutoff }, 'payload.visit': { $ne: null } },
+        { $set: { 'payload.visit': null } }
+    )
+};
+
+function createMongoStorage({ uri, logger = console } = {}) {
+    return {
+        name: 'mongodb',
+        links: linkRepository,
+        visits: visitRepository,
+        rollups: rollupRepository,
+        history: historyRepository,
+        apiKeys: apiKeyRepository,
+        users: userRepository,
+        domains: domainRepository,
+        webhooks: webhookRepository,
+        deliveries: deliveryRepository,
+
+        async connect() {
+            await mongoose.connect(uri);
+            logger.info('Connected to MongoDB');
+        },
+
+        // Short codes used to be unique across the deployment. Drop those single-domain unique
+        // indexes so the same code can be used on several domains (the per-domain ones replace them).
+        async prepare() {
+            for (const model of [Link, Tracking, VisitRollup, LinkHistory]) {
+                const indexes = await model.collection.indexes().catch(() => []); // Missing collection
+                for (const index of indexes) {
+                    if (index.unique && index.key.shortened && !index.key.domain) {
+                        await model.collection.dropIndex(index.name);
+                        logger.info({ collection: model.collection.name, index: index.name }, 'Dropped global short code index');
+                    }
+                }
+            }
+        },
+
+        // Move visits embedded in legacy Tracking documents into the Visit collection and rebuild
+        // the rollups of those links. Safe to re-run: migrated visits are keyed by the _id they had
+        // in the Tracking document. Returns the links migrated and how many visits each had.
+        async migrateLegacyVisits() {
+            const migrated = [];
+            const cursor = Tracking.find({ 'visits.0': { $exists: true } }).cursor();
+            try {
+                for await (const tracking of cursor) {
+                    const key = { domain: tracking.domain || null, shortened: tracking.shortened };
+                    const visits = tracking.visits.map(visit => {
+                        const { _id, ...fields } = visit.toObject();
+                        return { ...fields, ...key, legacyId: _id };
+                    });
+
+                    try {
+                        await Visit.insertMany(visits, { ordered: false });
+                    } catch (error) {
+                        // Duplicate legacyIds only mean an earlier run already copied those visits
+                        const writeErrors = error.writeErrors || [error];
+                        if (!writeErrors.every(writeError => writeError.code === 11000)) throw error;
+                    }
+
+                    await Tracking.updateOne({ _id: tracking._id }, { $set: { visits: [] } });
+                    await rebuildRollups(key);
+                    migrated.push({ key, count: visits.length });
+                }
+            } finally {
+                await cursor.close();
+            }
+            return migrated;
+        },
+
+        close: () => mongoose.disconnect()
+    };
+}
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,61 @@
+// Erasing visits by IP with PRIVACY_MODE=truncate, against the in-memory file backend
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = ':memory:';
+process.env.API_KEY = 'test-key';
+process.env.PRIVACY_MODE = 'truncate';
+process.env.HEALTH_CHECK_INTERVAL_MINUTES = '0';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, storage, dbReady, flushClicks } = require('../server');
+
+const headers = { authorization: 'Bearer test-key', 'content-type': 'application/json' };
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('erasing visits in truncate mode', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        await dbReady;
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        await flushClicks();
+        await new Promise(resolve => server.close(resolve));
+        await storage.close();
+    });
+
+    it('leaves visits stored under the shared network alone', async () => {
+        const key = { domain: null, shortened: 'abc' };
+        await fetch(`${baseUrl}/api/links`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ shortened: 'abc', targetUrl: 'https://example.com/a' })
+        });
+        // Two visitors from the same /24, both stored as 198.51.100.0
+        for (const ip of ['198.51.100.7', '198.51.100.8']) {
+            await fetch(`${baseUrl}/abc`, { redirect: 'manual', headers: { 'x-forwarded-for': ip } });
+        }
+        await flushClicks();
+        // A raw address stored before the switch to truncate
+        await storage.visits.add([{ ...key, visitNumber: 1, ipAddress: '198.51.100.7', timestamp: day('2024-05-01') }]);
+        await storage.rollups.add(['hour', 'day'].map(granularity => ({
+            key, granularity, bucket: day('2024-05-01'), total: 1, humans: 1, bots: 0
+        })));
+
+        const response = await fetch(`${baseUrl}/api/visits/erase`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ ip: '198.51.100.7' })
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual((await response.json()).data, { deleted: 1, links: 1 });
+
+        const visits = await storage.visits.page(key, { skip: 0, limit: 10 });
+        assert.deepEqual(visits.map(visit => visit.ipAddress), ['198.51.100.0', '198.51.100.0']);
+        assert.equal((await storage.rollups.totals(key)).total, 2);
+    });
+});
@@ -0,0 +1,181 @@
+// Integration tests of the redirect and link API routes, against the in-memory file backend
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = ':memory:';
+process.env.API_KEY = 'test-key';
+process.env.HEALTH_CHECK_INTERVAL_MINUTES = '0';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { app, storage, dbReady, flushClicks } = require('../server');
+
+const headers = { authorization: 'Bearer test-key', 'content-type': 'application/json' };
+
+describe('routes', () => {
+    let server;
+    let baseUrl;
+
+    function api(method, path, body) {
+        return fetch(`${baseUrl}/api/links${path}`, { method, headers, body: body && JSON.stringify(body) });
+    }
+
+    function visit(shortened) {
+        return fetch(`${baseUrl}/${shortened}`, { redirect: 'manual' });
+    }
+
+    before(async () => {
+        await dbReady;
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    beforeEach(async () => {
+        await flushClicks();
+        for await (const link of storage.links.iterate()) await storage.links.remove({ domain: link.domain, shortened: link.shortened });
+    });
+    after(async () => {
+        await flushClicks();
+        await new Promise(resolve => server.close(resolve));
+        await storage.close();
+    });
+
+    describe('GET /:code', () => {
+        it('redirects to the target and counts the visit', async () => {
+            await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/a' });
+
+            const response = await visit('abc');
+            assert.equal(response.status, 302);
+            assert.equal(response.headers.get('location'), 'https://example.com/a');
+
+            await flushClicks();
+            const link = await storage.links.get({ domain: null, shortened: 'abc' });
+            assert.equal(link.visitCount, 1);
+            assert.equal((await storage.visits.page({ domain: null, shortened: 'abc' }, { skip: 0, limit: 10 })).length, 1);
+        });
+
+        it('answers 404 for unknown codes', async () => {
+            assert.equal((await visit('missing')).status, 404);
+        });
+
+        it('answers 410 once a link has expired', async () => {
+            await api('POST', '', { shortened: 'old', targetUrl: 'https://example.com/a', expiresAt: '2000-01-01T00:00:00Z' });
+            assert.equal((await visit('old')).status, 410);
+        });
+
+        it('answers 410 once maxVisits is used up', async () => {
+            await api('POST', '', { shortened: 'once', targetUrl: 'https://example.com/a', maxVisits: 1 });
+            assert.equal((await visit('once')).status, 302);
+            assert.equal((await visit('once')).status, 410);
+        });
+    });
+
+    describe('click queue', () => {
+        // Makes one call to storage[repository][method] fail
+        function failOnce(repository, method) {
+            const write = storage[repository][method];
+            storage[repository][method] = async () => {
+                storage[repository][method] = write;
+                throw new Error('Storage unavailable');
+            };
+        }
+
+        it('stores counts, visits and rollups that failed on the next flush', async () => {
+            const key = { domain: null, shortened: 'retry' };
+            await api('POST', '', { shortened: 'retry', targetUrl: 'https://example.com/a' });
+            await visit('retry');
+
+            failOnce('links', 'addVisits');
+            failOnce('visits', 'add');
+            failOnce('rollups', 'add');
+            await flushClicks();
+            assert.equal((await storage.links.get(key)).visitCount, 0);
+
+            await visit('retry');
+            await flushClicks();
+            assert.equal((await storage.links.get(key)).visitCount, 2);
+            assert.equal((await storage.visits.page(key, { skip: 0, limit: 10 })).length, 2);
+            assert.equal((await storage.rollups.totals(key)).total, 2);
+        });
+
+        it('keeps counting clicks that are queued again', async () => {
+            await api('POST', '', { shortened: 'two', targetUrl: 'https://example.com/a', maxVisits: 2 });
+            await visit('two');
+
+            failOnce('links', 'addVisits');
+            await flushClicks();
+            assert.equal((await visit('two')).status, 302);
+            assert.equal((await visit('two')).status, 410);
+        });
+    });
+
+    describe('health checks', () => {
+        it('refuses hosts that resolve to a non-public address when connecting', async (t) => {
+            // A host that passes any earlier check but answers the connection's lookup with loopback
+            const lookup = dns.lookup;
+            t.after(() => { dns.lookup = lookup; });
+            dns.lookup = (hostname, options, callback) => hostname === 'rebind.test'
+                ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+                : lookup(hostname, options, callback);
+
+            await api('POST', '', { shortened: 'abc', targetUrl: 'http://rebind.test/admin' });
+            const response = await api('POST', '/abc/health-check');
+            const { data } = await response.json();
+            assert.equal(data.state, 'failing');
+            assert.match(data.error, /^Blocked: rebind\.test resolves to a non-public address/);
+        });
+    });
+
+    describe('/api/links', () => {
+        it('creates a link', async () => {
+            const response = await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/a', title: 'Docs' });
+            assert.equal(response.status, 201);
+            const { data } = await response.json();
+            assert.equal(data.shortened, 'abc');
+            assert.equal(data.targetUrl, 'https://example.com/a');
+            assert.equal(data.title, 'Docs');
+        });
+
+        it('refuses to create a link on a taken short code', async () => {
+            const created = await (await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/a' })).json();
+
+            const response = await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/b' });
+            assert.equal(response.status, 409);
+            const link = await storage.links.get({ domain: null, shortened: 'abc' });
+            assert.equal(link.targetUrl, 'https://example.com/a');
+            assert.equal(link.createdAt.toISOString(), created.data.createdAt);
+        });
+
+        it('rejects reserved short codes and invalid targets', async () => {
+            assert.equal((await api('POST', '', { shortened: 'admin', targetUrl: 'https://example.com/a' })).status, 400);
+            assert.equal((await api('POST', '', { shortened: 'a/b', targetUrl: 'https://example.com/a' })).status, 400);
+            assert.equal((await api('POST', '', { shortened: 'a b', targetUrl: 'https://example.com/a' })).status, 400);
+            assert.equal((await api('POST', '', { shortened: 'abc', targetUrl: 'javascript:alert(1)' })).status, 400);
+        });
+
+        it('rejects requests without a valid key', async () => {
+            const response = await fetch(`${baseUrl}/api/links`, { headers: { authorization: 'Bearer wrong' } });
+            assert.equal(response.status, 401);
+        });
+
+        it('updates a link', async () => {
+            await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/a' });
+
+            const response = await api('PUT', '/abc', { targetUrl: 'https://example.com/b' });
+            assert.equal(response.status, 200);
+            assert.equal((await response.json()).data.targetUrl, 'https://example.com/b');
+            assert.equal((await visit('abc')).headers.get('location'), 'https://example.com/b');
+        });
+
+        it('answers 404 when updating an unknown link', async () => {
+            assert.equal((await api('PUT', '/missing', { targetUrl: 'https://example.com/b' })).status, 404);
+        });
+
+        it('deletes a link', async () => {
+            await api('POST', '', { shortened: 'abc', targetUrl: 'https://example.com/a' });
+
+            assert.equal((await api('DELETE', '/abc')).status, 200);
+            assert.equal((await visit('abc')).status, 404);
+            assert.equal((await api('DELETE', '/abc')).status, 404);
+        });
+    });
+});
@@ -0,0 +1,440 @@
+// Repository contract tests, run against every storage backend. The mongodb suite needs a
+// disposable database and is skipped without one:
+//   MONGO_TEST_URI=mongodb://localhost:27017/linkshortner-test npm test
+const { describe, it, before, beforeEach, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createStorage } = require('../storage');
+const { Visit, WebhookDelivery } = require('../storage/models');
+
+const quietLogger = { info() {} };
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+function visit(key, fields = {}) {
+    return new Visit({ ...key, visitNumber: 1, ipAddress: '203.0.113.1', timestamp: day('2024-05-01'), ...fields });
+}
+
+function storageContract(name, { open, reset = async () => {}, close = async () => {}, skip = false }) {
+    describe(`${name} storage`, { skip }, () => {
+        let storage;
+        before(async () => {
+            storage = await open();
+        });
+        beforeEach(async () => {
+            storage = (await reset(storage)) || storage;
+        });
+        after(() => close(storage));
+
+        describe('links', () => {
+            it('creates on upsert and returns the previous version on later upserts', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                const created = await storage.links.upsert(key, { targetUrl: 'https://example.com/a' }, { owner: 'alice' });
+                assert.equal(created.previous, null);
+                assert.equal(created.link.targetUrl, 'https://example.com/a');
+                assert.equal(created.link.owner, 'alice');
+                assert.equal(created.link.visitCount, 0);
+
+                const updated = await storage.links.upsert(key, { targetUrl: 'https://example.com/b' }, { owner: 'bob' });
+                assert.equal(updated.previous.targetUrl, 'https://example.com/a');
+                assert.equal(updated.link.targetUrl, 'https://example.com/b');
+                assert.equal(updated.link.owner, 'alice');
+                assert.equal((await storage.links.get(key)).targetUrl, 'https://example.com/b');
+            });
+
+            it('keeps short codes unique per domain', async () => {
+                await storage.links.upsert({ domain: null, shortened: 'abc' }, { targetUrl: 'https://example.com/a' });
+                await storage.links.upsert({ domain: 'go.example.com', shortened: 'abc' }, { targetUrl: 'https://example.com/b' });
+                assert.equal((await storage.links.get({ domain: 'go.example.com', shortened: 'abc' })).targetUrl, 'https://example.com/b');
+                assert.equal(await storage.links.count(), 2);
+                assert.deepEqual(await storage.links.countByDomain(), { 'go.example.com': 1 });
+            });
+
+            it('creates links without overwriting a taken key', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                const link = await storage.links.create(key, { targetUrl: 'https://example.com/a', title: 'Kept', owner: 'alice' });
+                assert.equal(link.owner, 'alice');
+                await assert.rejects(storage.links.create(key, { targetUrl: 'https://example.com/b' }), error => error.code === 11000);
+                const stored = await storage.links.get(key);
+                assert.equal(stored.targetUrl, 'https://example.com/a');
+                assert.equal(stored.title, 'Kept');
+            });
+
+            it('updates and removes existing links only', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                assert.equal(await storage.links.update(key, { title: 'Missing' }), null);
+                await storage.links.upsert(key, { targetUrl: 'https://example.com/a' });
+
+                const { link, previous } = await storage.links.update(key, { title: 'Home' });
+                assert.equal(previous.title, null);
+                assert.equal(link.title, 'Home');
+
+                assert.equal((await storage.links.remove(key)).shortened, 'abc');
+                assert.equal(await storage.links.get(key), null);
+                assert.equal(await storage.links.remove(key), null);
+            });
+
+            it('saves only the fields changed on a loaded link', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                await storage.links.upsert(key, { targetUrl: 'https://example.com/a' });
+                const first = await storage.links.get(key);
+                const second = await storage.links.get(key);
+
+                first.rules.push({ field: 'country', value: 'DE', targetUrl: 'https://example.de' });
+                await storage.links.save(first);
+                second.title = 'Renamed';
+                await storage.links.save(second);
+
+                const stored = await storage.links.get(key);
+                assert.equal(stored.rules.length, 1);
+                assert.equal(stored.title, 'Renamed');
+            });
+
+            it('rejects invalid changes', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                await storage.links.upsert(key, { targetUrl: 'https://example.com/a' });
+                await assert.rejects(storage.links.update(key, { queryPrecedence: 'sideways' }));
+                assert.equal((await storage.links.get(key)).queryPrecedence, 'target');
+            });
+
+            it('adds click counts', async () => {
+                const { link } = await storage.links.upsert({ domain: null, shortened: 'abc' }, { targetUrl: 'https://example.com/a' });
+                await storage.links.addVisits([{ id: link._id, count: 3 }]);
+                await storage.links.addVisits([{ id: link._id, count: 2 }]);
+                assert.equal((await storage.links.get({ domain: null, shortened: 'abc' })).visitCount, 5);
+            });
+
+            it('lists with search, filters, totals and cursor pages', async () => {
+                for (const [shortened, visitCount, tags, owner] of [['a1', 5, ['news'], 'alice'], ['b2', 0, ['news', 'sport'], 'bob'], ['c3', 9, [], 'alice'], ['d4', 5, ['Sport'], 'alice']]) {
+                    await storage.links.upsert({ domain: null, shortened }, { targetUrl: `https://example.com/${shortened}`, visitCount, tags }, { owner });
+                }
+                await storage.links.update({ domain: null, shortened: 'c3' }, { health: { state: 'failing' } });
+
+                const all = await storage.links.list({}, { sort: 'visitCount', order: 'desc', limit: 10 });
+                assert.deepEqual(all.links.map(link => link.shortened), ['c3', 'd4', 'a1', 'b2']);
+                assert.deepEqual(all.totals, { links: 4, visits: 19, active: 3, broken: 1 });
+                assert.equal(all.hasMore, false);
+
+                const search = await storage.links.list({ search: 'EXAMPLE.COM/B' }, { sort: 'shortened', order: 'asc', limit: 10 });
+                assert.deepEqual(search.links.map(link => link.shortened), ['b2']);
+                const tagged = await storage.links.list({ tags: ['news', 'sport'] }, { sort: 'shortened', order: 'asc', limit: 10 });
+                assert.deepEqual(tagged.links.map(link => link.shortened), ['b2']);
+                const owned = await storage.links.list({ owner: 'alice', health: null }, { sort: 'shortened', order: 'asc', limit: 10 });
+                assert.deepEqual(owned.links.map(link => link.shortened), ['a1', 'd4']);
+
+                // Equal visit counts (a1, d4) are ordered by _id, so paging never skips or repeats one
+                const pages = [];
+                let after = null;
+                do {
+                    const page = await storage.links.list({}, { sort: 'visitCount', order: 'desc', limit: 1, after });
+                    pages.push(...page.links.map(link => link.shortened));
+                    const last = page.links[page.links.length - 1];
+                    after = page.hasMore ? { value: last.visitCount, id: last._id } : null;
+                } while (after);
+                assert.deepEqual(pages.sort(), ['a1', 'b2', 'c3', 'd4']);
+            });
+
+            it('claims expiry notices and health checks once', async () => {
+                const now = new Date();
+                const { link } = await storage.links.upsert({ domain: null, shortened: 'old' }, { targetUrl: 'https://example.com/a', expiresAt: new Date(now - 1000) });
+                await storage.links.upsert({ domain: null, shortened: 'new' }, { targetUrl: 'https://example.com/b' });
+
+                assert.deepEqual((await storage.links.expiredUnnotified(now, 10)).map(found => found.shortened), ['old']);
+                assert.ok(await storage.links.claimExpiryNotice(link._id));
+                assert.equal(await storage.links.claimExpiryNotice(link._id), null);
+                assert.deepEqual(await storage.links.expiredUnnotified(now, 10), []);
+
+                const [due] = await storage.links.dueForHealthCheck({ checkedBefore: now, now, limit: 10 });
+                assert.equal(due.shortened, 'new');
+                assert.ok(await storage.links.claimHealthCheck(due._id, due.health?.checkedAt));
+                assert.equal(await storage.links.claimHealthCheck(due._id, due.health?.checkedAt), null);
+
+                const checked = await storage.links.setHealth(due._id, { state: 'healthy', checkedUrl: 'https://example.com/b', checkedAt: now });
+                assert.equal(checked.health.state, 'healthy');
+                assert.deepEqual(await storage.links.dueForHealthCheck({ checkedBefore: new Date(now - 1000), now, limit: 10 }), []);
+            });
+
+            it('iterates plain links oldest first and lists tags', async () => {
+                await storage.links.upsert({ domain: null, shortened: 'b' }, { targetUrl: 'https://example.com/b', createdAt: day('2024-02-01'), tags: ['x'] });
+                await storage.links.upsert({ domain: null, shortened: 'a' }, { targetUrl: 'https://example.com/a', createdAt: day('2024-01-01'), tags: ['x', 'y'] });
+                const links = [];
+                for await (const link of storage.links.iterate()) links.push(link);
+                assert.deepEqual(links.map(link => link.shortened), ['a', 'b']);
+                assert.ok(!(links[0] instanceof mongoose.Document));
+                assert.deepEqual((await storage.links.tags()).sort(), ['x', 'y']);
+            });
+
+            it('assigns an owner to unowned links', async () => {
+                await storage.links.upsert({ domain: null, shortened: 'a' }, { targetUrl: 'https://example.com/a' });
+                await storage.links.upsert({ domain: null, shortened: 'b' }, { targetUrl: 'https://example.com/b' }, { owner: 'bob' });
+                assert.equal(await storage.links.assignOwner('root'), 1);
+                assert.equal((await storage.links.get({ domain: null, shortened: 'a' })).owner, 'root');
+                assert.equal((await storage.links.get({ domain: null, shortened: 'b' })).owner, 'bob');
+            });
+        });
+
+        describe('visits and rollups', () => {
+            const key = { domain: null, shortened: 'abc' };
+
+            it('pages, counts and breaks down the visits of a link', async () => {
+                await storage.visits.add([
+                    visit(key, { timestamp: day('2024-05-01'), variant: 'A', geographic: { country: 'DE', city: 'Berlin' } }),
+                    visit(key, { timestamp: day('2024-05-02'), variant: 'A', isBot: true, ipAddress: '203.0.113.2' }),
+                    visit(key, { timestamp: day('2024-05-03'), variant: 'B', geographic: { country: 'DE' }, source: 'qr' }),
+                    visit({ domain: null, shortened: 'other' }, { timestamp: day('2024-05-03') })
+                ]);
+
+                const page = await storage.visits.page(key, { skip: 1, limit: 1 });
+                assert.deepEqual(page.map(found => found.timestamp), [day('2024-05-02')]);
+
+                const variants = await storage.visits.countBy(key, ['variant']);
+                assert.deepEqual(variants.sort((a, b) => a.variant.localeCompare(b.variant)), [
+                    { variant: 'A', clicks: 2, humans: 1 },
+                    { variant: 'B', clicks: 1, humans: 1 }
+                ]);
+
+                const range = { from: day('2024-05-01'), to: day('2024-05-31'), limit: 5 };
+                const humans = await storage.visits.breakdowns(key, { ...range, includeBots: false });
+                assert.equal(humans.visits, 2);
+                assert.equal(humans.uniqueVisitors, 1);
+                assert.deepEqual(humans.countries, [{ value: 'DE', count: 2 }]);
+                assert.deepEqual(humans.sources.map(row => row.value).sort(), [null, 'qr'].sort());
+
+                const everything = await storage.visits.breakdowns(null, { ...range, includeBots: true });
+                assert.equal(everything.visits, 4);
+                assert.equal(everything.bots, 1);
+                assert.deepEqual(everything.links[0], { value: key, count: 3 });
+            });
+
+            it('iterates plain visits matching export criteria', async () => {
+                await storage.visits.add([
+                    visit(key, { timestamp: day('2024-05-03'), geographic: { country: 'FR' } }),
+                    visit(key, { timestamp: day('2024-05-01'), geographic: { country: 'FR' } }),
+                    visit(key, { timestamp: day('2024-05-02'), geographic: { country: 'FR' }, isBot: true }),
+                    visit(key, { timestamp: day('2024-06-01'), geographic: { country: 'DE' } })
+                ]);
+                const exported = [];
+                for await (const found of storage.visits.iterate(key, { bots: 'exclude', country: 'FR', to: day('2024-05-31') })) {
+                    exported.push(found);
+                }
+                assert.deepEqual(exported.map(found => found.timestamp), [day('2024-05-01'), day('2024-05-03')]);
+                assert.ok(!(exported[0] instanceof mongoose.Document));
+            });
+
+            it('removes visits by IP and by age', async () => {
+                await storage.visits.add([
+                    visit(key, { ipAddress: '198.51.100.7', timestamp: day('2024-05-01') }),
+                    visit(key, { ipAddress: '198.51.100.7', timestamp: day('2024-05-02') }),
+                    visit(key, { ipAddress: '203.0.113.9', timestamp: day('2023-01-01') })
+                ]);
+                const removed = await storage.visits.removeByIp(['198.51.100.7']);
+                assert.equal(removed.length, 2);
+                assert.equal(removed[0].shortened, 'abc');
+                assert.equal(await storage.visits.removeBefore(day('2024-01-01')), 1);
+                assert.deepEqual(await storage.visits.page(key, { skip: 0, limit: 10 }), []);
+            });
+
+            it('adds rollup increments and sums them', async () => {
+                const bucket = day('2024-05-01');
+                await storage.rollups.add([
+                    { key, granularity: 'day', bucket, total: 3, humans: 2, bots: 1 },
+                    { key, granularity: 'hour', bucket, total: 3, humans: 2, bots: 1 },
+                    { key: { domain: null, shortened: 'other' }, granularity: 'day', bucket, total: 1, humans: 1, bots: 0 }
+                ]);
+                await storage.rollups.add([
+                    { key, granularity: 'day', bucket, total: -1, humans: 0, bots: -1 },
+                    { key, granularity: 'day', bucket: day('2024-05-02'), total: -1, humans: -1, bots: 0 } // No such bucket
+                ]);
+
+                assert.deepEqual(await storage.rollups.totals(key), { total: 2, humans: 2, bots: 0 });
+                const series = await storage.rollups.series(null, { start: bucket, to: day('2024-05-31'), granularity: 'day' });
+                assert.deepEqual(series, [{ bucket, total: 3, humans: 3 }]);
+            });
+        });
+
+        describe('history', () => {
+            it('numbers versions per link', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                const entry = { newTargetUrl: 'https://example.com/a', source: 'api' };
+                await storage.history.append(key, entry);
+                await storage.history.append(key, { ...entry, oldTargetUrl: 'https://example.com/a', newTargetUrl: 'https://example.com/b' });
+                await storage.history.append({ domain: 'go.example.com', shortened: 'abc' }, entry);
+
+                assert.deepEqual((await storage.history.list(key)).map(found => found.version), [2, 1]);
+                assert.equal((await storage.history.get(key, 2)).newTargetUrl, 'https://example.com/b');
+                assert.equal(await storage.history.get(key, 3), null);
+            });
+
+            it('gives concurrent appends distinct versions', async () => {
+                const key = { domain: null, shortened: 'abc' };
+                await Promise.all(Array.from({ length: 5 }, (_, index) =>
+                    storage.history.append(key, { newTargetUrl: `https://example.com/${index}`, source: 'api' })));
+                assert.deepEqual((await storage.history.list(key)).map(found => found.version), [5, 4, 3, 2, 1]);
+            });
+        });
+
+        describe('accounts', () => {
+            it('looks users up by username and rejects duplicates', async () => {
+                const user = await storage.users.create({ username: 'Alice', passwordHash: 'x' });
+                assert.equal((await storage.users.findByUsername('ALICE')).id, user.id);
+                await assert.rejects(storage.users.create({ username: 'alice', passwordHash: 'y' }), error => error.code === 11000);
+
+                assert.equal((await storage.users.update(user._id, { role: 'admin' })).role, 'admin');
+                assert.equal((await storage.users.get(user._id)).role, 'admin');
+                assert.ok(await storage.users.remove(user._id));
+                assert.deepEqual(await storage.users.list(), []);
+            });
+
+            it('finds API keys by hash and revokes them once', async () => {
+                const apiKey = await storage.apiKeys.create({ name: 'ci', prefix: 'ls_ab', keyHash: 'hash' });
+                assert.equal((await storage.apiKeys.findByHash('hash')).id, apiKey.id);
+                await storage.apiKeys.touch(apiKey._id);
+                assert.ok((await storage.apiKeys.findByHash('hash')).lastUsedAt);
+                assert.ok(await storage.apiKeys.revoke(apiKey._id));
+                assert.equal(await storage.apiKeys.revoke(apiKey._id), null);
+            });
+
+            it('keeps domains by hostname', async () => {
+                const domain = await storage.domains.create({ hostname: 'go.example.com' });
+                await storage.domains.create({ hostname: 'a.example.com' });
+                assert.deepEqual((await storage.domains.list()).map(found => found.hostname), ['a.example.com', 'go.example.com']);
+                assert.deepEqual((await storage.domains.hostnames()).sort(), ['a.example.com', 'go.example.com']);
+                assert.equal((await storage.domains.findByHostname('GO.example.com')).id, domain.id);
+
+                await storage.domains.update(domain._id, { rootUrl: 'https://example.com' });
+                assert.equal((await storage.domains.get(domain._id)).rootUrl, 'https://example.com');
+                await storage.domains.remove(domain._id);
+                assert.equal(await storage.domains.findByHostname('go.example.com'), null);
+            });
+        });
+
+        describe('webhooks and deliveries', () => {
+            it('finds the webhooks subscribed to an event', async () => {
+                const all = await storage.webhooks.create({ name: 'all', url: 'https://hooks.example.com/a', secret: 's', events: ['link.clicked'] });
+                await storage.webhooks.create({ name: 'one', url: 'https://hooks.example.com/b', secret: 's', events: ['link.clicked'], shortCodes: ['abc'] });
+                await storage.webhooks.create({ name: 'off', url: 'https://hooks.example.com/c', secret: 's', events: ['link.clicked'], enabled: false });
+
+                assert.deepEqual((await storage.webhooks.subscribedTo('link.clicked', 'abc')).map(found => found.name).sort(), ['all', 'one']);
+                assert.deepEqual((await storage.webhooks.subscribedTo('link.clicked', 'xyz')).map(found => found.name), ['all']);
+                assert.deepEqual(await storage.webhooks.subscribedTo('link.created', 'abc'), []);
+
+                await storage.webhooks.update(all._id, { enabled: false });
+                assert.deepEqual((await storage.webhooks.subscribedTo('link.clicked', 'xyz')), []);
+            });
+
+            it('claims, saves, retries and scrubs deliveries', async () => {
+                const webhook = await storage.webhooks.create({ name: 'w', url: 'https://hooks.example.com/a', secret: 's' });
+                const delivery = new WebhookDelivery({
+                    webhook: webhook._id,
+                    event: 'link.clicked',
+                    payload: { visit: { ipAddress: '198.51.100.7' } },
+                    nextAttemptAt: new Date(Date.now() - 1000)
+                });
+                await storage.deliveries.add([delivery]);
+
+                const lease = new Date(Date.now() + 60000);
+                const claimed = await storage.deliveries.claimDue(new Date(), lease);
+                assert.equal(claimed.id, delivery.id);
+                assert.equal(await storage.deliveries.claimDue(new Date(), lease), null);
+
+                claimed.status = 'failed';
+                claimed.attempts = 5;
+                await storage.deliveries.save(claimed);
+                const retried = await storage.deliveries.retry(claimed._id);
+                assert.equal(retried.status, 'pending');
+                assert.equal(retried.attempts, 0);
+                assert.equal(await storage.deliveries.retry(claimed._id), null);
+
+                await storage.deliveries.scrubVisitsByIp(['198.51.100.7']);
+                await storage.deliveries.failPending(webhook._id, 'Webhook was deleted');
+                const [stored] = await storage.deliveries.recent(10);
+                assert.equal(stored.payload.visit, null);
+                assert.equal(stored.status, 'failed');
+                assert.equal(stored.lastError, 'Webhook was deleted');
+            });
+        });
+    });
+}
+
+storageContract('file (in memory)', {
+    open: async () => createStorage('file', { file: ':memory:', logger: quietLogger }),
+    reset: async () => {
+        const storage = createStorage('file', { file: ':memory:', logger: quietLogger });
+        await storage.connect();
+        return storage;
+    }
+});
+
+storageContract('mongodb', {
+    skip: !process.env.MONGO_TEST_URI && 'set MONGO_TEST_URI to a disposable database to run it',
+    open: async () => {
+        const storage = createStorage('mongodb', { mongoUri: process.env.MONGO_TEST_URI, logger: quietLogger });
+        await storage.connect();
+        await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+        return storage;
+    },
+    reset: async () => {
+        await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+    },
+    close: (storage) => storage.close()
+});
+
+describe('file storage on disk', () => {
+    let directory;
+    let file;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'linkshortner-storage-'));
+        file = path.join(directory, 'store.json');
+    });
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    async function reopen() {
+        const storage = createStorage('file', { file, logger: quietLogger });
+        await storage.connect();
+        return storage;
+    }
+
+    it('replays the journal when the store was not closed', async () => {
+        const storage = await reopen();
+        await storage.links.upsert({ domain: null, shortened: 'abc' }, { targetUrl: 'https://example.com/a', expiresAt: day('2030-01-01') });
+        await storage.links.update({ domain: null, shortened: 'abc' }, { title: 'Kept' });
+        await storage.visits.add([visit({ domain: null, shortened: 'abc' })]);
+        await storage.flush();
+        assert.equal(fs.existsSync(file), false); // Only the journal so far
+
+        const reopened = await reopen();
+        const link = await reopened.links.get({ domain: null, shortened: 'abc' });
+        assert.equal(link.title, 'Kept');
+        assert.ok(link.expiresAt instanceof Date);
+        assert.equal((await reopened.visits.page({ domain: null, shortened: 'abc' }, { skip: 0, limit: 10 })).length, 1);
+    });
+
+    it('writes a snapshot on close and ignores a torn journal line', async () => {
+        const storage = await reopen();
+        const { link } = await storage.links.upsert({ domain: null, shortened: 'abc' }, { targetUrl: 'https://example.com/a' });
+        await storage.close();
+        assert.equal(fs.readFileSync(`${file}.log`, 'utf8'), '');
+        fs.appendFileSync(`${file}.log`, '{"c":"links","put":{"_id":');
+
+        const reopened = await reopen();
+        const stored = await reopened.links.get({ domain: null, shortened: 'abc' });
+        assert.equal(stored.id, link.id);
+        assert.equal(stored.targetUrl, 'https://example.com/a');
+    });
+
+    it('loads a snapshot written by an earlier version', async () => {
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1,
+            collections: {
+                links: [{ _id: '65f000000000000000000001', shortened: 'old', domain: null, targetUrl: 'https://example.com/old', createdAt: '2024-01-01T00:00:00.000Z' }],
+                trackings: [{ _id: '65f000000000000000000002', shortened: 'old', targetUrl: 'https://example.com/old', visits: [] }]
+            }
+        }));
+        const storage = await reopen();
+        const link = await storage.links.get({ domain: null, shortened: 'old' });
+        assert.deepEqual(link.createdAt, day('2024-01-01'));
+        assert.equal(link.visitCount, 0);
+    });
+});